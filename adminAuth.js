@@ -0,0 +1,25 @@
+import crypto from "crypto";
+
+// Admin routes stay closed unless ADMIN_TOKEN is set. Callers send it as
+// "Authorization: Bearer <token>" or "x-admin-token: <token>".
+export function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+
+  if (!expected) {
+    return res.status(403).json({ error: "Admin routes disabled (ADMIN_TOKEN not set)" });
+  }
+
+  const header = req.get("authorization") || "";
+  const provided = header.startsWith("Bearer ")
+    ? header.slice(7)
+    : req.get("x-admin-token") || "";
+
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ error: "Invalid admin token" });
+  }
+
+  next();
+}
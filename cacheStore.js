@@ -1,70 +1,569 @@
 import axios from "axios";
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import crypto from "crypto";
+import { promisify } from "util";
 
-const OWNER = process.env.GH_OWNER;
-const REPO = process.env.GH_REPO;
-const TOKEN = process.env.GH_TOKEN;
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
 
-if (!OWNER || !REPO || !TOKEN) {
-  throw new Error("Missing GH_OWNER, GH_REPO, or GH_TOKEN env vars");
+// === Storage backends ===
+// Each backend stores raw bytes by path, with a version token per file:
+//   get(filePath)                    -> { content: Buffer, version } | null
+//   put(filePath, content, options)  -> new version
+//   remove(filePath, options)        -> void
+// put() takes options.version for optimistic concurrency: a string must match
+// the stored version, null means the file must not exist yet, and undefined
+// skips the check. A mismatch throws CacheConflictError.
+// Pick one with CACHE_BACKEND=github|fs|memory. Without it, GitHub is used
+// when its env vars are present, otherwise the local filesystem.
+
+export class CacheConflictError extends Error {
+  constructor(filePath, cause) {
+    super(`Cache write conflict on ${filePath}`);
+    this.name = "CacheConflictError";
+    this.filePath = filePath;
+    this.cause = cause;
+  }
 }
 
-function headers() {
+function createGithubBackend() {
+  const OWNER = process.env.GH_OWNER;
+  const REPO = process.env.GH_REPO;
+  const TOKEN = process.env.GH_TOKEN;
+
+  if (!OWNER || !REPO || !TOKEN) {
+    throw new Error("Missing GH_OWNER, GH_REPO, or GH_TOKEN env vars");
+  }
+
+  function headers() {
+    return {
+      Authorization: `Bearer ${TOKEN}`,
+      Accept: "application/vnd.github+json",
+      "X-GitHub-Api-Version": "2022-11-28"
+    };
+  }
+
+  function contentsUrl(filePath) {
+    return `https://api.github.com/repos/${OWNER}/${REPO}/contents/${filePath}`;
+  }
+
+  async function currentSha(filePath) {
+    try {
+      const existing = await axios.get(contentsUrl(filePath), { headers: headers() });
+      return existing.data.sha;
+    } catch (err) {
+      if (err.response?.status === 404) return null;
+      throw err;
+    }
+  }
+
   return {
-    Authorization: `Bearer ${TOKEN}`,
-    Accept: "application/vnd.github+json",
-    "X-GitHub-Api-Version": "2022-11-28"
+    name: "github",
+
+    async get(filePath) {
+      try {
+        const meta = await axios.get(contentsUrl(filePath), { headers: headers() });
+
+        // Large files should use raw download URL
+        if (meta.data.download_url) {
+          const res = await axios.get(meta.data.download_url, {
+            responseType: "arraybuffer"
+          });
+          return { content: Buffer.from(res.data), version: meta.data.sha };
+        }
+
+        return null;
+
+      } catch (err) {
+        if (err.response?.status === 404) return null;
+        throw err;
+      }
+    },
+
+    async put(filePath, content, { message = "update cache", version } = {}) {
+      // GitHub requires SHA if file exists
+      const sha = version === undefined ? await currentSha(filePath) : version;
+
+      try {
+        const res = await axios.put(
+          contentsUrl(filePath),
+          {
+            message,
+            content: content.toString("base64"),
+            sha: sha || undefined
+          },
+          { headers: headers() }
+        );
+        return res.data.content?.sha ?? null;
+      } catch (err) {
+        // 409: sha no longer matches, 422: file appeared since we looked
+        const status = err.response?.status;
+        if (status === 409 || status === 422) {
+          throw new CacheConflictError(filePath, err);
+        }
+        throw err;
+      }
+    },
+
+    async remove(filePath, { message = "remove cache file" } = {}) {
+      const sha = await currentSha(filePath);
+      if (!sha) return;
+
+      try {
+        await axios.delete(contentsUrl(filePath), {
+          headers: headers(),
+          data: { message, sha }
+        });
+      } catch (err) {
+        if (err.response?.status !== 404) throw err;
+      }
+    }
   };
 }
 
-export async function loadCache(filePath) {
-  try {
-    const meta = await axios.get(
-      `https://api.github.com/repos/${OWNER}/${REPO}/contents/${filePath}`,
-      { headers: headers() }
-    );
-
-    // Large files should use raw download URL
-    if (meta.data.download_url) {
-      const res = await axios.get(meta.data.download_url, {
-        responseType: "json"
-      });
-      return res.data;
+function createFsBackend(rootDir = process.env.CACHE_DIR || ".cache") {
+  async function read(filePath) {
+    try {
+      return await fs.readFile(path.join(rootDir, filePath));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
     }
+  }
 
-    return null;
+  return {
+    name: "fs",
 
-  } catch (err) {
-    if (err.response?.status === 404) return null;
-    throw err;
+    async get(filePath) {
+      const content = await read(filePath);
+      return content ? { content, version: sha256(content) } : null;
+    },
+
+    async put(filePath, content, { version } = {}) {
+      const target = path.join(rootDir, filePath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+
+      if (version !== undefined) {
+        const existing = await read(filePath);
+        const current = existing ? sha256(existing) : null;
+        if (current !== version) throw new CacheConflictError(filePath);
+      }
+
+      // Write to a temp file first so a crash never leaves half a file behind
+      const tmp = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, content);
+      await fs.rename(tmp, target);
+
+      return sha256(content);
+    },
+
+    async remove(filePath) {
+      try {
+        await fs.unlink(path.join(rootDir, filePath));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    }
+  };
+}
+
+function createMemoryBackend() {
+  const files = new Map();
+  let counter = 0;
+
+  return {
+    name: "memory",
+
+    async get(filePath) {
+      const file = files.get(filePath);
+      return file ? { content: Buffer.from(file.content), version: file.version } : null;
+    },
+
+    async put(filePath, content, { version } = {}) {
+      if (version !== undefined && (files.get(filePath)?.version ?? null) !== version) {
+        throw new CacheConflictError(filePath);
+      }
+
+      const next = String(++counter);
+      files.set(filePath, { content: Buffer.from(content), version: next });
+      return next;
+    },
+
+    async remove(filePath) {
+      files.delete(filePath);
+    }
+  };
+}
+
+const BACKENDS = {
+  github: createGithubBackend,
+  fs: createFsBackend,
+  memory: createMemoryBackend
+};
+
+function defaultBackendName() {
+  const { GH_OWNER, GH_REPO, GH_TOKEN } = process.env;
+  return GH_OWNER && GH_REPO && GH_TOKEN ? "github" : "fs";
+}
+
+let backend = null;
+
+function getBackend() {
+  if (!backend) {
+    const name = (process.env.CACHE_BACKEND || defaultBackendName()).toLowerCase();
+    const create = BACKENDS[name];
+
+    if (!create) {
+      throw new Error(`Unknown CACHE_BACKEND "${name}" (expected ${Object.keys(BACKENDS).join(", ")})`);
+    }
+
+    backend = create();
+    console.log(`💾 Cache backend: ${backend.name}`);
   }
+
+  return backend;
 }
 
-export async function saveCache(filePath, data, message = "update cache") {
-  const content = Buffer.from(
-    JSON.stringify(data, null, 2)
-  ).toString("base64");
+/**
+ * Swap the active backend, by name or with a custom { get, put, remove } object
+ */
+export function setCacheBackend(nameOrBackend) {
+  if (typeof nameOrBackend === "string") {
+    const create = BACKENDS[nameOrBackend];
+    if (!create) throw new Error(`Unknown cache backend "${nameOrBackend}"`);
+    backend = create();
+  } else {
+    backend = nameOrBackend;
+  }
+}
+
+// === Chunked snapshots ===
+// saveCache gzips the JSON, splits it into chunk files and writes a manifest
+// at filePath last. Chunk names carry the payload hash, so a save that dies
+// halfway never touches the chunks the current manifest points at.
+const MANIFEST_FORMAT = "bruncher-chunked-v1";
+const CHUNK_SIZE = Number(process.env.CACHE_CHUNK_BYTES) || 512 * 1024;
+
+function sha256(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
 
-  let sha;
+function isManifest(obj) {
+  return obj?.format === MANIFEST_FORMAT && Array.isArray(obj.chunks);
+}
+
+function chunkPath(filePath, hash, index) {
+  return `${filePath}.chunks/${hash.slice(0, 16)}.${String(index).padStart(3, "0")}.gz`;
+}
 
-  // GitHub requires SHA if file exists
+async function readManifest(filePath) {
+  const file = await getBackend().get(filePath);
+  if (!file) return null;
+
+  let parsed;
   try {
-    const existing = await axios.get(
-      `https://api.github.com/repos/${OWNER}/${REPO}/contents/${filePath}`,
-      { headers: headers() }
-    );
+    parsed = JSON.parse(file.content.toString("utf8"));
+  } catch (err) {
+    return { version: file.version, manifest: null, error: err };
+  }
+
+  return {
+    version: file.version,
+    manifest: isManifest(parsed) ? parsed : null,
+    legacy: isManifest(parsed) ? undefined : parsed
+  };
+}
+
+async function readChunked(manifest) {
+  const parts = [];
+
+  for (const chunk of manifest.chunks) {
+    const file = await getBackend().get(chunk.path);
+
+    if (!file) {
+      throw new Error(`Missing cache chunk ${chunk.path}`);
+    }
 
-    sha = existing.data.sha;
+    const buf = file.content;
+    if (buf.length !== chunk.size || sha256(buf) !== chunk.sha256) {
+      throw new Error(`Integrity check failed for cache chunk ${chunk.path}`);
+    }
+
+    parts.push(buf);
+  }
+
+  const compressed = Buffer.concat(parts);
+  if (sha256(compressed) !== manifest.sha256) {
+    throw new Error("Integrity check failed for reassembled cache payload");
+  }
+
+  return JSON.parse((await gunzip(compressed)).toString("utf8"));
+}
+
+function dataFrom(current) {
+  if (!current) return null;
+  if (current.error) throw current.error;
+
+  // Plain JSON written before chunking existed
+  if (!current.manifest) return current.legacy;
+
+  return readChunked(current.manifest);
+}
+
+export async function loadCache(filePath) {
+  return dataFrom(await readManifest(filePath));
+}
+
+async function writeChunks(filePath, data, message) {
+  const store = getBackend();
+  const json = Buffer.from(JSON.stringify(data));
+  const compressed = await gzip(json);
+  const hash = sha256(compressed);
+
+  const chunks = [];
+  for (let offset = 0, i = 0; offset < compressed.length; offset += CHUNK_SIZE, i++) {
+    const buf = compressed.subarray(offset, offset + CHUNK_SIZE);
+    const chunk = { path: chunkPath(filePath, hash, i), size: buf.length, sha256: sha256(buf) };
+
+    // Chunk paths are content-addressed, so concurrent writers can only
+    // ever race to write identical bytes
+    const existing = await store.get(chunk.path);
+    if (!existing || sha256(existing.content) !== chunk.sha256) {
+      try {
+        await store.put(chunk.path, buf, {
+          message: `${message} (chunk ${i + 1})`,
+          version: existing ? existing.version : null
+        });
+      } catch (err) {
+        if (!(err instanceof CacheConflictError)) throw err;
+      }
+    }
+
+    chunks.push(chunk);
+  }
+
+  return {
+    format: MANIFEST_FORMAT,
+    encoding: "gzip",
+    savedAt: new Date().toISOString(),
+    rawSize: json.length,
+    size: compressed.length,
+    sha256: hash,
+    chunks
+  };
+}
+
+async function removeChunks(chunks, keep, message) {
+  const removed = new Set();
+
+  for (const chunk of chunks) {
+    if (keep.has(chunk.path) || removed.has(chunk.path)) continue;
+    removed.add(chunk.path);
+
+    try {
+      await getBackend().remove(chunk.path, { message: `${message} (cleanup)` });
+    } catch (err) {
+      console.warn(`⚠️ Failed removing old chunk ${chunk.path}: ${err.message}`);
+    }
+  }
+}
+
+// === Snapshot history ===
+// <file>.history.json lists the last HISTORY_LIMIT manifests written for a
+// file, newest last. Their chunks stay on disk until the entry is pruned, so
+// any listed version can be loaded or rolled back to.
+const HISTORY_LIMIT = Number(process.env.CACHE_HISTORY_LIMIT) || 5;
+
+function historyPath(filePath) {
+  return `${filePath}.history.json`;
+}
+
+async function readHistory(filePath) {
+  const file = await getBackend().get(historyPath(filePath));
+  if (!file) return { version: null, versions: [] };
+
+  try {
+    const parsed = JSON.parse(file.content.toString("utf8"));
+    return { version: file.version, versions: Array.isArray(parsed.versions) ? parsed.versions : [] };
   } catch (err) {
-    if (err.response?.status !== 404) throw err;
+    console.warn(`⚠️ Unreadable snapshot history for ${filePath}, starting over: ${err.message}`);
+    return { version: file.version, versions: [] };
   }
+}
+
+async function recordHistory(filePath, manifest, previous, message) {
+  for (let attempt = 1; ; attempt++) {
+    const history = await readHistory(filePath);
+    const versions = [...history.versions];
+
+    // First save with history enabled: keep what it replaced as version 1
+    if (versions.length === 0 && previous) {
+      versions.push({ version: 1, savedAt: previous.savedAt, message: "initial snapshot", manifest: previous });
+    }
 
-  await axios.put(
-    `https://api.github.com/repos/${OWNER}/${REPO}/contents/${filePath}`,
-    {
+    const last = versions[versions.length - 1];
+    versions.push({
+      version: (last?.version || 0) + 1,
+      savedAt: manifest.savedAt,
       message,
-      content,
-      sha
-    },
-    { headers: headers() }
-  );
+      manifest
+    });
+
+    const pruned = versions.splice(0, Math.max(0, versions.length - HISTORY_LIMIT));
+
+    try {
+      await getBackend().put(
+        historyPath(filePath),
+        Buffer.from(JSON.stringify({ file: filePath, versions }, null, 2)),
+        { message: `${message} (history)`, version: history.version }
+      );
+    } catch (err) {
+      if (!(err instanceof CacheConflictError) || attempt >= MAX_CONFLICT_RETRIES) throw err;
+      continue;
+    }
+
+    const keep = new Set(versions.flatMap(v => v.manifest.chunks.map(c => c.path)));
+    const candidates = [
+      ...pruned.flatMap(v => v.manifest.chunks),
+      ...(previous ? previous.chunks : [])
+    ];
+    await removeChunks(candidates, keep, message);
+    return;
+  }
+}
+
+// Chunk paths are content-addressed, so a chunk written for this save may
+// also belong to the current file or to any version listed in its history
+async function referencedChunks(filePath, manifest) {
+  const current = await readManifest(filePath);
+  const { versions } = await readHistory(filePath);
+
+  return new Set([
+    ...manifest.chunks,
+    ...(current?.manifest?.chunks || []),
+    ...versions.flatMap(v => v.manifest?.chunks || [])
+  ].map(c => c.path));
+}
+
+/**
+ * List the saved versions of a cache file, oldest first
+ */
+export async function listSnapshots(filePath) {
+  const { versions } = await readHistory(filePath);
+
+  return versions.map(v => ({
+    version: v.version,
+    savedAt: v.savedAt,
+    message: v.message,
+    size: v.manifest.size,
+    rawSize: v.manifest.rawSize
+  }));
+}
+
+/**
+ * Load the data of one saved version without touching the current file
+ */
+export async function loadSnapshot(filePath, version) {
+  const { versions } = await readHistory(filePath);
+  const entry = versions.find(v => v.version === Number(version));
+
+  if (!entry) return null;
+  return readChunked(entry.manifest);
+}
+
+/**
+ * Make an earlier version current again. The rollback is saved as a new
+ * version, so it can itself be undone. Returns the restored data.
+ */
+export async function restoreSnapshot(filePath, version) {
+  const data = await loadSnapshot(filePath, version);
+  if (data == null) return null;
+
+  await saveCache(filePath, data, `Roll back ${filePath} to version ${version}`);
+  return data;
+}
+
+// === Conflict handling ===
+// The manifest write is conditional on the version read just before it. When
+// another writer lands first, re-read and try again; files with a merge hook
+// get their data combined with what the other writer saved.
+const MAX_CONFLICT_RETRIES = 5;
+const mergeHooks = new Map();
+const writeQueues = new Map();
+
+/**
+ * Register merge(remoteData, localData) -> data for a cache file, used when
+ * saveCache loses a write race for that file
+ */
+export function setMergeHook(filePath, merge) {
+  if (merge) {
+    mergeHooks.set(filePath, merge);
+  } else {
+    mergeHooks.delete(filePath);
+  }
+}
+
+async function writeWithRetry(filePath, data, message) {
+  let manifest = await writeChunks(filePath, data, message);
+
+  for (let attempt = 1; ; attempt++) {
+    const current = await readManifest(filePath);
+    if (current?.error) {
+      console.warn(`⚠️ Unreadable manifest for ${filePath}, overwriting: ${current.error.message}`);
+    }
+
+    try {
+      // Manifest goes last: until it lands, readers still see the previous snapshot
+      await getBackend().put(
+        filePath,
+        Buffer.from(JSON.stringify(manifest, null, 2)),
+        { message, version: current ? current.version : null }
+      );
+
+      try {
+        await recordHistory(filePath, manifest, current?.manifest, message);
+      } catch (historyErr) {
+        console.warn(`⚠️ Saved ${filePath} but failed updating its history: ${historyErr.message}`);
+      }
+      return;
+
+    } catch (err) {
+      if (!(err instanceof CacheConflictError) || attempt >= MAX_CONFLICT_RETRIES) throw err;
+
+      const delay = 250 * attempt + Math.random() * 250;
+      console.warn(`⚠️ Conflict saving ${filePath}, retry ${attempt}/${MAX_CONFLICT_RETRIES} in ${delay.toFixed(0)}ms`);
+      await new Promise(r => setTimeout(r, delay));
+
+      const merge = mergeHooks.get(filePath);
+      if (merge) {
+        try {
+          const remote = await loadCache(filePath);
+          if (remote != null) {
+            data = await merge(remote, data);
+
+            const stale = manifest;
+            manifest = await writeChunks(filePath, data, message);
+            await removeChunks(stale.chunks, await referencedChunks(filePath, manifest), message);
+          }
+        } catch (mergeErr) {
+          console.warn(`⚠️ Merge failed for ${filePath}, keeping local data: ${mergeErr.message}`);
+        }
+      }
+    }
+  }
+}
+
+export function saveCache(filePath, data, message = "update cache") {
+  // Saves of the same file in this process run one after another
+  const previous = writeQueues.get(filePath) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => writeWithRetry(filePath, data, message));
+
+  writeQueues.set(filePath, run);
+  run.catch(() => {}).finally(() => {
+    if (writeQueues.get(filePath) === run) writeQueues.delete(filePath);
+  });
+
+  return run;
 }
@@ -0,0 +1,201 @@
+import { loadCache, saveCache } from "./cacheStore.js";
+
+// === Coin resolver ===
+// Maps whatever users type (CoinGecko id, ticker symbol or coin name) to a
+// CoinGecko id, using the /coins/list catalog saved through cacheStore.
+const COINS_LIST_FILE = "coingeckoCoinsList.json";
+const COINS_LIST_MAX_AGE = 24 * 60 * 60 * 1000; // refresh daily
+const COIN_QUERY_PARAMS = ["coin", "coin1", "coin2", "coins"];
+
+/**
+ * fetchCoinsList() -> [{ id, symbol, name }] from CoinGecko
+ * marketRank(id)   -> market cap rank (1 = largest) or null, used to settle
+ *                     symbols/names shared by several coins
+ */
+export function createCoinResolver({ fetchCoinsList, marketRank }) {
+  let coins = [];
+  let fetchedAt = 0;
+  let byId = new Map();
+  let bySymbol = new Map();
+  let byName = new Map();
+  let refreshPromise = null;
+
+  function index(list, timestamp) {
+    coins = list.filter(c => c && c.id);
+    fetchedAt = timestamp;
+    byId = new Map(coins.map(c => [c.id.toLowerCase(), c]));
+    bySymbol = new Map();
+    byName = new Map();
+
+    for (const coin of coins) {
+      for (const [map, key] of [[bySymbol, coin.symbol], [byName, coin.name]]) {
+        if (!key) continue;
+        const k = key.toLowerCase();
+        if (!map.has(k)) map.set(k, []);
+        map.get(k).push(coin);
+      }
+    }
+  }
+
+  async function refresh() {
+    if (refreshPromise) return refreshPromise;
+
+    refreshPromise = (async () => {
+      try {
+        const list = await fetchCoinsList();
+        if (!Array.isArray(list) || list.length === 0) {
+          throw new Error("Empty coins list");
+        }
+
+        const data = list.map(({ id, symbol, name }) => ({ id, symbol, name }));
+        index(data, Date.now());
+        console.log(`Crypto: 🔎 Coin list refreshed (${coins.length} coins)`);
+
+        await saveCache(COINS_LIST_FILE, { fetchedAt, coins: data }, "Update CoinGecko coin list");
+      } catch (err) {
+        console.warn("Crypto: ⚠️ Coin list refresh failed:", err.message);
+      } finally {
+        refreshPromise = null;
+      }
+    })();
+
+    return refreshPromise;
+  }
+
+  async function load() {
+    try {
+      const saved = await loadCache(COINS_LIST_FILE);
+      if (saved && Array.isArray(saved.coins)) {
+        index(saved.coins, saved.fetchedAt || 0);
+        console.log(`Crypto: 📂 Loaded coin list (${coins.length} coins)`);
+      }
+    } catch (err) {
+      console.warn("Crypto: ❌ Failed loading coin list:", err.message);
+    }
+
+    if (Date.now() - fetchedAt > COINS_LIST_MAX_AGE) {
+      await refresh();
+    }
+  }
+
+  // Several coins share a symbol/name: take the best-ranked one if any of them
+  // trades in the top markets, otherwise it's genuinely ambiguous
+  function pick(candidates) {
+    if (candidates.length === 1) return candidates[0];
+
+    const ranked = candidates
+      .map(c => ({ coin: c, rank: marketRank(c.id) }))
+      .filter(c => c.rank != null)
+      .sort((a, b) => a.rank - b.rank);
+
+    return ranked.length > 0 ? ranked[0].coin : null;
+  }
+
+  /**
+   * Resolve one user-supplied coin reference:
+   *   { id }                    resolved
+   *   { ambiguous: [coins] }    several matches, none clearly preferred
+   *   { unknown: true }         no match in the catalog
+   * Until the catalog has loaded, input is passed through as an id.
+   */
+  function resolve(input) {
+    const key = String(input).trim().toLowerCase();
+
+    if (coins.length === 0 || byId.has(key)) return { id: key };
+
+    for (const map of [bySymbol, byName]) {
+      const candidates = map.get(key);
+      if (!candidates) continue;
+
+      const chosen = pick(candidates);
+      if (chosen) return { id: chosen.id };
+
+      return {
+        ambiguous: candidates.slice(0, 10).map(({ id, symbol, name }) => ({ id, symbol, name }))
+      };
+    }
+
+    return { unknown: true };
+  }
+
+  function search(query, limit = 20) {
+    const q = String(query).trim().toLowerCase();
+    if (!q) return [];
+
+    const score = coin => {
+      const id = coin.id.toLowerCase();
+      const symbol = (coin.symbol || "").toLowerCase();
+      const name = (coin.name || "").toLowerCase();
+
+      if (id === q || symbol === q || name === q) return 0;
+      if (symbol.startsWith(q) || name.startsWith(q) || id.startsWith(q)) return 1;
+      if (name.includes(q) || id.includes(q)) return 2;
+      return null;
+    };
+
+    return coins
+      .map(coin => ({ coin, score: score(coin), rank: marketRank(coin.id) }))
+      .filter(m => m.score !== null)
+      .sort((a, b) =>
+        a.score - b.score ||
+        (a.rank ?? Infinity) - (b.rank ?? Infinity) ||
+        a.coin.name.localeCompare(b.coin.name)
+      )
+      .slice(0, limit)
+      .map(({ coin, rank }) => ({
+        id: coin.id,
+        symbol: coin.symbol,
+        name: coin.name,
+        market_cap_rank: rank ?? null
+      }));
+  }
+
+  // Rewrites coin/coin1/coin2/coins query params to CoinGecko ids in place,
+  // answering 400 for anything ambiguous or unknown
+  function middleware(req, res, next) {
+    const ambiguous = [];
+    const unknown = [];
+
+    const resolveOne = input => {
+      const result = resolve(input);
+      if (result.id) return result.id;
+
+      if (result.ambiguous) ambiguous.push({ input, candidates: result.ambiguous });
+      if (result.unknown) unknown.push(input);
+      return input;
+    };
+
+    for (const param of COIN_QUERY_PARAMS) {
+      const value = req.query[param];
+      if (typeof value !== "string" || !value.trim()) continue;
+
+      req.query[param] = param === "coins"
+        ? value.split(",").map(c => c.trim()).filter(Boolean).map(resolveOne).join(",")
+        : resolveOne(value);
+    }
+
+    if (ambiguous.length > 0 || unknown.length > 0) {
+      return res.status(400).json({
+        error: "Could not resolve coin parameter — use /crypto/search?q= to find the id",
+        ...(ambiguous.length > 0 ? { ambiguous } : {}),
+        ...(unknown.length > 0 ? { unknown } : {})
+      });
+    }
+
+    next();
+  }
+
+  return {
+    load,
+    refresh,
+    resolve,
+    search,
+    middleware,
+    get ready() {
+      return coins.length > 0;
+    },
+    get fetchedAt() {
+      return fetchedAt;
+    }
+  };
+}
@@ -0,0 +1,64 @@
+// === Return correlation statistics over [timestamp, price] series ===
+
+// Simple daily returns on timestamps both series share: [[ts, retA, retB], ...]
+export function pairedReturns(seriesA, seriesB) {
+  const mapB = new Map(seriesB.map(([t, v]) => [t, v]));
+  const common = seriesA
+    .filter(([t, v]) => mapB.has(t) && v != null && mapB.get(t) != null)
+    .sort((a, b) => a[0] - b[0]);
+
+  const out = [];
+  for (let i = 1; i < common.length; i++) {
+    const [t, a] = common[i];
+    const prevA = common[i - 1][1];
+    const prevB = mapB.get(common[i - 1][0]);
+    const b = mapB.get(t);
+
+    if (!prevA || !prevB) continue;
+    out.push([t, a / prevA - 1, b / prevB - 1]);
+  }
+
+  return out;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function covariance(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sum = 0;
+  for (let i = 0; i < xs.length; i++) sum += (xs[i] - mx) * (ys[i] - my);
+  return sum / (xs.length - 1);
+}
+
+export function pearson(xs, ys) {
+  if (xs.length < 3) return null;
+
+  const sx = Math.sqrt(covariance(xs, xs));
+  const sy = Math.sqrt(covariance(ys, ys));
+  if (sx === 0 || sy === 0) return null;
+
+  return covariance(xs, ys) / (sx * sy);
+}
+
+// Beta of a against benchmark b
+export function beta(xs, bs) {
+  if (xs.length < 3) return null;
+
+  const variance = covariance(bs, bs);
+  return variance === 0 ? null : covariance(xs, bs) / variance;
+}
+
+// Correlation over the trailing `window` returns at each point: [[ts, corr], ...]
+export function rollingCorrelation(returns, window) {
+  const out = [];
+
+  for (let i = window - 1; i < returns.length; i++) {
+    const slice = returns.slice(i - window + 1, i + 1);
+    out.push([returns[i][0], pearson(slice.map(r => r[1]), slice.map(r => r[2]))]);
+  }
+
+  return out;
+}
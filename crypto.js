@@ -1,38 +1,102 @@
 import express from "express";
 import axios from "axios";
 import cors from "cors";
-import { loadCache, saveCache } from "./cacheStore.js";
+import {
+  loadCache,
+  saveCache,
+  setMergeHook,
+  listSnapshots,
+  restoreSnapshot
+} from "./cacheStore.js";
+import { requireAdmin } from "./adminAuth.js";
+import { parseIndicatorSet, computeIndicators } from "./indicators.js";
+import { pairedReturns, pearson, beta, rollingCorrelation } from "./correlation.js";
+import { createCoinResolver } from "./coinResolver.js";
+import { createHistoryArchive, parseDateRange } from "./historyArchive.js";
+import { flatOutput } from "./flatOutput.js";
+import {
+  currencySemantic,
+  dimension,
+  metric,
+  timestampDimension,
+  toLookerTimestamp
+} from "./lookerSchema.js";
+import { createEventStream } from "./eventStream.js";
+import { createPriceAlerts } from "./priceAlerts.js";
 
 const router = express.Router();
 router.use(cors());
+router.use(express.json({ limit: "100kb" }));
 
-function toLookerTimestamp(ts) {
-  const d = new Date(ts);
-  const yyyy = d.getUTCFullYear();
-  const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const dd = String(d.getUTCDate()).padStart(2, "0");
-  const hh = String(d.getUTCHours()).padStart(2, "0");
-  const mi = String(d.getUTCMinutes()).padStart(2, "0");
-  const ss = String(d.getUTCSeconds()).padStart(2, "0");
-  return `${yyyy}${mm}${dd}${hh}${mi}${ss}`;
-}
+// ?format=csv|ndjson|json on the Looker flat routes
+const flat = flatOutput();
 
 // === Cache + timing ===
-let cache = null;
-let lastFetch = 0;
+// Market data per quote currency: vs -> { data, lastFetch }
+const marketCache = {};
 //let fetchPromise = null;
 const CACHE_DURATION = 15 * 60 * 1000; // 15 min
 const COINGECKO_URL = "https://api.coingecko.com/api/v3/coins/markets";
 const THREE_HOURS = 3 * 60 * 60 * 1000;
 
+// === Quote currencies ===
+const DEFAULT_VS = "usd";
+
+// Currencies the preload job keeps warm, e.g. PRELOAD_VS_CURRENCIES=usd,cad,eur
+const PRELOAD_VS_CURRENCIES = [
+  ...new Set([
+    DEFAULT_VS,
+    ...(process.env.PRELOAD_VS_CURRENCIES || "")
+      .split(",")
+      .map(v => v.trim().toLowerCase())
+      .filter(Boolean)
+  ])
+];
+
+// ?vs= parameter; CoinGecko rejects currencies it doesn't support
+function parseVs(req, res) {
+  const vs = String(req.query.vs || DEFAULT_VS).trim().toLowerCase();
+
+  if (!/^[a-z]{3,5}$/.test(vs)) {
+    res.status(400).json({ error: "Invalid ?vs= currency" });
+    return null;
+  }
+
+  return vs;
+}
+
+function marketData(vs = DEFAULT_VS) {
+  return marketCache[vs]?.data || null;
+}
+
+// === Coin resolution ===
+// coin / coin1 / coin2 / coins accept ids, symbols ("AVAX") or names ("Cronos")
+let rankIndex = { source: null, ranks: new Map() };
+
+function marketRank(coinId) {
+  const data = marketData();
+  if (rankIndex.source !== data) {
+    rankIndex = { source: data, ranks: new Map((data || []).map((c, i) => [c.id, i + 1])) };
+  }
+  return rankIndex.ranks.get(coinId) ?? null;
+}
+
+const coinResolver = createCoinResolver({
+  fetchCoinsList: () => fetchWithRetry("https://api.coingecko.com/api/v3/coins/list", {}),
+  marketRank
+});
+
+router.use(coinResolver.middleware);
+
 // === Fetch logic ===
-async function fetchCoinData(force = false, attempt = 1) {
+async function fetchCoinData(force = false, attempt = 1, vs = DEFAULT_VS) {
   const now = Date.now();
+  const entry = marketCache[vs];
 
   // Serve from cache if recent enough
-  if (!force && cache && now - lastFetch < CACHE_DURATION) {
-    console.log("🟢 Serving from cache");
-    return cache;
+  if (!force && entry && now - entry.lastFetch < CACHE_DURATION) {
+    console.log(`🟢 Serving ${vs} from cache`);
+    return entry.data;
   }
 
   // Avoid concurrent fetches
@@ -43,18 +107,18 @@ async function fetchCoinData(force = false, attempt = 1) {
 
   //fetchPromise = (async () => {
   return (async () => {
-    const lastFetchInfo = lastFetch
-      ? new Date(lastFetch).toLocaleString("en-CA", {
+    const lastFetchInfo = entry?.lastFetch
+      ? new Date(entry.lastFetch).toLocaleString("en-CA", {
           timeZone: "America/Toronto"
         })
       : "none yet";
     
-    console.log(`🔄 Fetching top coin price data — last success: ${lastFetchInfo}`);
+    console.log(`🔄 Fetching top coin price data (${vs}) — last success: ${lastFetchInfo}`);
     try {
       console.log("🌍 Fetching data from CoinGecko API...");
       const response = await axios.get(COINGECKO_URL, {
         params: {
-          vs_currency: "usd",
+          vs_currency: vs,
           order: "market_cap_desc",
           per_page: 250,
           page: 1,
@@ -64,7 +128,7 @@ async function fetchCoinData(force = false, attempt = 1) {
       });
 
       // === Normalize fields for Looker ===
-      cache = response.data.map((coin) => ({
+      const data = response.data.map((coin) => ({
         id: coin.id || null,
         symbol: coin.symbol || null,
         name: coin.name || null,
@@ -74,8 +138,14 @@ async function fetchCoinData(force = false, attempt = 1) {
         price_change_percentage_24h: coin.price_change_percentage_24h ?? null,
       }));
 
-      lastFetch = Date.now();
-      console.log(`✅ Fetched ${cache.length} coins successfully`);
+      const previous = marketCache[vs]?.data;
+      marketCache[vs] = { data, lastFetch: Date.now() };
+      console.log(`✅ Fetched ${data.length} coins (${vs}) successfully`);
+
+      publishMarketDiff(vs, previous, marketCache[vs]);
+      priceAlerts.evaluate(vs, data).catch(err =>
+        console.warn(`⚠️ Alert evaluation (${vs}) failed:`, err.message)
+      );
     } catch (err) {
       const status = err.response?.status;
     
@@ -88,12 +158,12 @@ async function fetchCoinData(force = false, attempt = 1) {
           setTimeout(resolve, retryAfter * 1000)
         );
       
-        return fetchCoinData(force, attempt + 1);
+        return fetchCoinData(force, attempt + 1, vs);
       }
     
       console.error("❌ Error fetching from CoinGecko:", err.message);
     
-      if (cache) {
+      if (marketCache[vs]) {
         console.log("⚠️ Returning stale cache data");
       } else {
         console.log("⚠️ No cache available — retry will handle it");
@@ -103,30 +173,87 @@ async function fetchCoinData(force = false, attempt = 1) {
       //fetchPromise = null;
     //}
 
-    return cache;
+    return marketCache[vs].data;
   })();
 
   //return fetchPromise;
 }
 
+// === Live market updates (SSE) ===
+// Each successful fetchCoinData pushes the coins whose numbers moved
+const priceStream = createEventStream({ label: "Crypto" });
+const MARKET_DIFF_FIELDS = ["current_price", "market_cap", "total_volume", "price_change_percentage_24h"];
+
+function publishMarketDiff(vs, previous, entry) {
+  const before = new Map((previous || []).map(coin => [coin.id, coin]));
+  const ids = new Set(entry.data.map(coin => coin.id));
+
+  const changed = entry.data.filter(coin => {
+    const old = before.get(coin.id);
+    return !old || MARKET_DIFF_FIELDS.some(f => old[f] !== coin[f]);
+  });
+  const removed = [...before.keys()].filter(id => !ids.has(id));
+
+  if (changed.length === 0 && removed.length === 0) return;
+
+  priceStream.publish("prices", { vs, lastFetch: entry.lastFetch, changed, removed });
+}
+
 // === API routes ===
 router.get("/", (req, res) => {
   res.json({ status: "ok", message: "crypto-api live" });
 });
 
+router.get("/search", (req, res) => {
+  const q = (req.query.q || "").trim();
+  if (!q) {
+    return res.status(400).json({ error: "Missing ?q= parameter" });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  res.json({
+    query: q,
+    ready: coinResolver.ready,
+    results: coinResolver.search(q, limit)
+  });
+});
+
+// The default currency is kept warm by the warm-up + refresh jobs;
+// other currencies are fetched on first request and refreshed when stale
+async function ensureMarketData(vs) {
+  if (vs === DEFAULT_VS) return;
+
+  const entry = marketCache[vs];
+  if (!entry) {
+    await fetchCoinData(false, 1, vs);
+  } else if (Date.now() - entry.lastFetch >= CACHE_DURATION) {
+    fetchCoinData(false, 1, vs).catch(err =>
+      console.warn(`⚠️ Background ${vs} refresh failed:`, err.message)
+    );
+  }
+}
+
 router.get("/prices", async (req, res) => {
+  const vs = parseVs(req, res);
+  if (!vs) return;
+
   try {
     const limit = parseInt(req.query.limit) || 250;
 
-    if (!cache) {
+    await ensureMarketData(vs);
+
+    const data = marketData(vs);
+
+    if (!data) {
       return res.status(200).json([]);
     }
 
-    res.json(cache.slice(0, limit));
+    res.json(data.slice(0, limit));
 
   } catch (err) {
     console.error("❌ API Error:", err.message);
-    res.status(200).json(cache || []);
+    res.status(200).json(marketData(vs) || []);
   }
 });
 
@@ -192,50 +319,221 @@ async function fetchWithRetry(url, params, attempt = 1) {
   }
 }
 
-function safePlaceholder(coin1, coin2) {
+function safePlaceholder(coins) {
   return {
-    coin1,
-    coin2,
-    data: [
-      { name: coin1, prices: [] },
-      { name: coin2, prices: [] }
-    ],
+    coins,
+    ...(coins.length === 2 ? { coin1: coins[0], coin2: coins[1] } : {}),
+    data: coins.map(name => ({ name, prices: [] })),
     warning: "No data available — using placeholder"
   };
 }
 
-function alignTimeframes(series1, series2) {
-  if (!series1 || !series2) return [series1, series2];
+// === Timestamp alignment across any number of series ===
+// intersection: only timestamps present in every series (Looker never sees gaps)
+// union:        every timestamp, null where a series has no point
+// ffill:        every timestamp, carrying each series' last value forward
+const ALIGN_POLICIES = ["intersection", "union", "ffill"];
+
+function alignTimeframes(seriesList, policy = "intersection") {
+  if (seriesList.length < 2) return seriesList;
 
-  const map1 = new Map(series1.map(([t, v]) => [t, v]));
-  const map2 = new Map(series2.map(([t, v]) => [t, v]));
+  const maps = seriesList.map(series => new Map(series.map(([t, v]) => [t, v])));
 
-  // Use only timestamps that appear in *both* series
-  const commonTimestamps = [...map1.keys()].filter(t => map2.has(t));
+  let timestamps;
+  if (policy === "intersection") {
+    timestamps = [...maps[0].keys()].filter(t => maps.every(m => m.has(t)));
+  } else {
+    timestamps = [...new Set(maps.flatMap(m => [...m.keys()]))];
+  }
+  timestamps.sort((a, b) => a - b);
 
-  const aligned1 = commonTimestamps.map(t => [t, map1.get(t)]);
-  const aligned2 = commonTimestamps.map(t => [t, map2.get(t)]);
+  return maps.map(map => {
+    let last = null;
 
-  return [aligned1, aligned2];
+    return timestamps.map(t => {
+      if (map.has(t)) {
+        last = map.get(t);
+        return [t, last];
+      }
+      return [t, policy === "ffill" ? last : null];
+    });
+  });
 }
 
 // === Preload full chart data for key coins ===
-const PRELOAD_COINS = [
+// The preload set is configured coins (PRELOAD_COINS env, else the defaults)
+// + coins added by admins + the top PRELOAD_TOP_N by market cap + coins
+// requested on demand more than PRELOAD_PROMOTE_AFTER times, minus any an
+// admin removed. Everything but the config is saved through cacheStore.
+const DEFAULT_PRELOAD_COINS = [
   "bitcoin", "ethereum", "ripple", "binancecoin",
   "solana", "tron", "dogecoin", "avalanche-2",
   "uniswap", "crypto-com-chain", "aave", "matic-network"
 ];
 
+const CONFIGURED_PRELOAD_COINS = process.env.PRELOAD_COINS
+  ? process.env.PRELOAD_COINS.split(",").map(c => c.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_PRELOAD_COINS;
+const PRELOAD_TOP_N = Number(process.env.PRELOAD_TOP_N ?? 10);
+const PRELOAD_PROMOTE_AFTER = Number(process.env.PRELOAD_PROMOTE_AFTER ?? 3);
+const PRELOAD_UNIVERSE_FILE = "cryptoPreloadUniverse.json";
+
+const preloadUniverse = {
+  added: [],
+  removed: [],
+  promoted: [],
+  requestCounts: {}
+};
+
+function topMarketCapCoins() {
+  return (marketData() || []).slice(0, PRELOAD_TOP_N).map(c => c.id).filter(Boolean);
+}
+
+function getPreloadCoins() {
+  const removed = new Set(preloadUniverse.removed);
+
+  return [
+    ...new Set([
+      ...CONFIGURED_PRELOAD_COINS,
+      ...preloadUniverse.added,
+      ...topMarketCapCoins(),
+      ...preloadUniverse.promoted
+    ])
+  ].filter(coin => !removed.has(coin));
+}
+
+// Where each coin in the preload set comes from, for the admin listing
+function describePreloadCoins() {
+  const top = new Set(topMarketCapCoins());
+
+  return getPreloadCoins().map(coin => ({
+    coin,
+    sources: [
+      ...(CONFIGURED_PRELOAD_COINS.includes(coin) ? ["config"] : []),
+      ...(preloadUniverse.added.includes(coin) ? ["admin"] : []),
+      ...(top.has(coin) ? ["top_market_cap"] : []),
+      ...(preloadUniverse.promoted.includes(coin) ? ["usage"] : [])
+    ],
+    requests: preloadUniverse.requestCounts[coin] || 0
+  }));
+}
+
+async function savePreloadUniverse() {
+  await saveCache(PRELOAD_UNIVERSE_FILE, preloadUniverse, "Update crypto preload coin set");
+}
+
+async function loadPreloadUniverse() {
+  try {
+    const data = await loadCache(PRELOAD_UNIVERSE_FILE);
+    if (!data) return;
+
+    for (const field of ["added", "removed", "promoted"]) {
+      if (Array.isArray(data[field])) preloadUniverse[field] = data[field];
+    }
+    if (data.requestCounts && typeof data.requestCounts === "object") {
+      preloadUniverse.requestCounts = data.requestCounts;
+    }
+
+    console.log(`Crypto: 📂 Loaded preload coin set (${getPreloadCoins().length} coins)`);
+  } catch (err) {
+    console.warn("Crypto: ❌ Failed loading preload coin set:", err.message);
+  }
+}
+
+// Count on-demand requests for coins outside the preload set
+function recordCoinRequest(coinId) {
+  if (getPreloadCoins().includes(coinId) || preloadUniverse.removed.includes(coinId)) return;
+
+  const count = (preloadUniverse.requestCounts[coinId] || 0) + 1;
+  preloadUniverse.requestCounts[coinId] = count;
+
+  if (count > PRELOAD_PROMOTE_AFTER) {
+    preloadUniverse.promoted.push(coinId);
+    console.log(`Crypto: ⭐ Promoted ${coinId} to the preload set after ${count} requests`);
+
+    savePreloadUniverse().catch(err =>
+      console.warn("Crypto: ⚠️ Failed saving preload coin set:", err.message)
+    );
+  }
+}
+
+const MAX_COMPARE_COINS = 10;
+
+function compareKey(coins, vs = DEFAULT_VS) {
+  return `${[...coins].sort().join("_")}_${vs}`;
+}
+
+// ?coins=a,b,c or the original ?coin1=&coin2= pair
+function parseCompareCoins(query) {
+  const raw = query.coins
+    ? String(query.coins).split(",")
+    : [query.coin1 || "bitcoin", query.coin2 || "ethereum"];
+
+  // Repeated params arrive as arrays
+  return [...new Set(raw.map(c => String(c).trim().toLowerCase()).filter(Boolean))];
+}
+
+async function fetchCompareSeries(coinId, params) {
+  const url = `https://api.coingecko.com/api/v3/coins/${coinId}/market_chart`;
+
+  try {
+    return await fetchWithRetry(url, params);
+  } catch (err) {
+    const status = err.response?.status;
+    if (status === 404) {
+      console.warn(`⚠️ 404 for ${coinId} — retrying with days=max`);
+      try {
+        return await axios.get(url, { params: { ...params, days: "max" }}).then(r => r.data);
+      } catch {}
+    }
+    return null;
+  }
+}
+
+// Cached compare entries hold the raw series; alignment happens per request
+function buildCompareResult(raw, coins, align) {
+  const series = coins
+    .map(name => raw.series.find(s => s.name === name))
+    .filter(Boolean);
+
+  const aligned = alignTimeframes(series.map(s => s.prices), align);
+
+  return {
+    coins,
+    ...(coins.length === 2 ? { coin1: coins[0], coin2: coins[1] } : {}),
+    vs: raw.vs,
+    align,
+    data: series.map((s, i) => ({ name: s.name, prices: aligned[i] })),
+    ...(raw.warning ? { warning: raw.warning } : {}),
+  };
+}
+
 router.get("/compare", async (req, res) => {
-  const { coin1 = "bitcoin", coin2 = "ethereum" } = req.query;
-  const key = [coin1, coin2].sort().join("_");
-  console.log(`🔍 Compare request: ${coin1} vs ${coin2}`);
+  let coins;
+  try {
+    coins = parseCompareCoins(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid coin parameters: ${err.message}` });
+  }
+  const align = String(req.query.align || "intersection").toLowerCase();
+  const vs = parseVs(req, res);
+  if (!vs) return;
+
+  if (coins.length === 0 || coins.length > MAX_COMPARE_COINS) {
+    return res.status(400).json({ error: `Provide between 1 and ${MAX_COMPARE_COINS} coins` });
+  }
+  if (!ALIGN_POLICIES.includes(align)) {
+    return res.status(400).json({ error: `Invalid ?align= (expected one of ${ALIGN_POLICIES.join(", ")})` });
+  }
+
+  const key = compareKey(coins, vs);
+  console.log(`🔍 Compare request: ${coins.join(" vs ")} (${vs}, ${align})`);
 
   // Serve from cache if still fresh
   const cached = compareCache[key];
   if (cached && Date.now() - cached.timestamp < COMPARE_CACHE_DURATION) {
     console.log(`🟢 Served ${key} from cache`);
-    return res.json(cached.data);
+    return res.json(buildCompareResult(cached.data, coins, align));
   }
 
   // Prevent duplicate concurrent fetches
@@ -243,7 +541,7 @@ router.get("/compare", async (req, res) => {
     console.log(`⏳ Waiting for existing fetch for ${key}`);
     try {
       const result = await compareLocks[key];
-      return res.json(result.data);
+      return res.json(buildCompareResult(result.data, coins, align));
     } catch {
       return res.status(500).json({ error: "Failed to fetch comparison data" });
     } finally {
@@ -252,164 +550,193 @@ router.get("/compare", async (req, res) => {
   }
 
   compareLocks[key] = (async () => {
-    const url1 = `https://api.coingecko.com/api/v3/coins/${coin1}/market_chart`;
-    const url2 = `https://api.coingecko.com/api/v3/coins/${coin2}/market_chart`;
-    const params = { vs_currency: "usd", days: 365, interval: "daily" };
-
-    let data1 = null;
-    let data2 = null;
-    let warning = null;
+    const params = { vs_currency: vs, days: 365, interval: "daily" };
+    const series = [];
+    const missing = [];
 
     try {
-      // === Fetch coin1 ===
-      try {
-        data1 = await fetchWithRetry(url1, params);
-      } catch (err) {
-        const status = err.response?.status;
-        if (status === 404) {
-          console.warn(`⚠️ 404 for ${coin1} — retrying with days=max`);
-          try {
-            data1 = await axios.get(url1, { params: { ...params, days: "max" }}).then(r => r.data);
-          } catch {}
+      for (const [i, coinId] of coins.entries()) {
+        if (i > 0) {
+          // Randomized delay between coins
+          const randomDelay = 1500 + Math.random() * 2000;
+          console.log(`⏳ Waiting ${randomDelay.toFixed(0)}ms before next coin request...`);
+          await new Promise(r => setTimeout(r, randomDelay));
         }
-      }
-    
-      // Randomized delay between coins
-      const randomDelay = 1500 + Math.random() * 2000;
-      console.log(`⏳ Waiting ${randomDelay.toFixed(0)}ms before second coin request...`);
-      await new Promise(r => setTimeout(r, randomDelay));
-    
-      // === Fetch coin2 (this was broken before) ===
-      try {
-        data2 = await fetchWithRetry(url2, params);
-      } catch (err) {
-        const status = err.response?.status;
-        if (status === 404) {
-          console.warn(`⚠️ 404 for ${coin2} — retrying with days=max`);
-          try {
-            data2 = await axios.get(url2, { params: { ...params, days: "max" }}).then(r => r.data);
-          } catch {}
+
+        const data = await fetchCompareSeries(coinId, params);
+
+        if (data) {
+          series.push({ name: coinId, prices: data.prices || [] });
+        } else {
+          missing.push(coinId);
         }
       }
     } catch (err) {
       console.error("❌ Unexpected compare error:", err.message);
     }
 
-    if (!data1 && !data2) {
-      console.error(`❌ Both coin fetches failed for ${key}`);
-      throw new Error("Both coin fetches failed");
+    if (series.length === 0) {
+      console.error(`❌ All coin fetches failed for ${key}`);
+      throw new Error("All coin fetches failed");
     }
 
-    // Align timeframes so Looker never sees mismatched timestamps
-    let aligned1 = data1?.prices || [];
-    let aligned2 = data2?.prices || [];
-    
-    if (data1 && data2) {
-      [aligned1, aligned2] = alignTimeframes(aligned1, aligned2);
-    }
-    
+    const warning = missing.length > 0 ? `No data for: ${missing.join(", ")}` : null;
     const result = {
-      coin1,
-      coin2,
-      data: [
-        ...(data1 ? [{ name: coin1, prices: aligned1 }] : []),
-        ...(data2 ? [{ name: coin2, prices: aligned2 }] : []),
-      ],
+      vs,
+      series,
       ...(warning ? { warning } : {}),
     };
 
     compareCache[key] = { timestamp: Date.now(), data: result };
-    console.log(`✅ Cached compare ${key}${warning ? " (partial)" : ""} — ${data1?.prices?.length || 0}/${data2?.prices?.length || 0} points`);
+    console.log(`✅ Cached compare ${key}${warning ? " (partial)" : ""} — ${series.map(s => s.prices.length).join("/")} points`);
     return { data: result };
   })();
 
   try {
     const result = await compareLocks[key];
-    res.json(result.data);
+    res.json(buildCompareResult(result.data, coins, align));
   } catch {
-    console.warn(`⚠️ Compare request failed for ${coin1}_${coin2}, enqueuing background retry`);
-    retryQueue.push({ coin1, coin2, attempt: 1 });
+    console.warn(`⚠️ Compare request failed for ${key}, enqueuing background retry`);
+    retryQueue.push({ coins, vs, attempt: 1 });
     const cached = compareCache[key];
     if (cached) {
       return res.status(200).json({
-        ...cached.data,
+        ...buildCompareResult(cached.data, coins, align),
         warning: "Served stale cached data due to error"
       });
     }
   
     // No cache? Return placeholder instead of broken structure
-    return res.status(200).json(safePlaceholder(coin1, coin2));
+    return res.status(200).json({ ...safePlaceholder(coins), vs, align });
   }
 });
 
 // === Looker Studio flat table version ===
-router.get("/compare_flat", async (req, res) => {
+router.get("/compare_flat", flat, async (req, res) => {
   try {
-    const { coin1 = "bitcoin", coin2 = "ethereum" } = req.query;
+    const coins = parseCompareCoins(req.query).join(",");
+    const { align } = req.query;
+    const vs = parseVs(req, res);
+    if (!vs) return;
+
+    const range = parseRange(req, res);
+    if (range === undefined) return;
+
+    let raw; // [{ name, prices }]
 
-    // Call compare endpoint internally
-    const url = `${req.protocol}://${req.get("host")}/crypto/compare`;
-    const response = await axios.get(url, { params: { coin1, coin2 } });
+    if (range) {
+      // Date range: read the archive and align locally, no upstream calls
+      const policy = String(align || "intersection").toLowerCase();
+      if (!ALIGN_POLICIES.includes(policy)) {
+        return res.status(400).json({ error: `Invalid ?align= (expected one of ${ALIGN_POLICIES.join(", ")})` });
+      }
 
-    const raw = response.data.data; // [{ name, prices }]
-    const flattened = [];
+      const series = [];
+      for (const coinId of coins.split(",")) {
+        const chart = await chartForRange(coinId, vs, range);
+        if (chart) series.push({ name: coinId, prices: chart.data.prices });
+      }
 
-    for (const coin of raw) {
-      const name = coin.name;
+      const aligned = alignTimeframes(series.map(s => s.prices), policy);
+      raw = series.map((s, i) => ({ name: s.name, prices: aligned[i] }));
+    } else {
+      // Call compare endpoint internally
+      const url = `${req.protocol}://${req.get("host")}/crypto/compare`;
+      const response = await axios.get(url, {
+        params: { coins, vs, align },
+        validateStatus: status => status < 500
+      });
 
-      for (const [ts, price] of coin.prices) {
-        if (price == null || isNaN(price)) continue;
+      if (response.status >= 400) {
+        return res.status(response.status).json(response.data);
+      }
 
-        let parsedTs = ts;
+      raw = response.data.data;
+    }
 
-        // Raw timestamps are numbers (ms)
-        if (typeof ts !== "number") {
-          const parsed = Date.parse(ts);
-          if (isNaN(parsed)) continue;
-          parsedTs = parsed;
-        }
+    function* flattened() {
+      for (const coin of raw) {
+        const name = coin.name;
 
-        flattened.push({
-          coin: name,
-          timestamp: toLookerTimestamp(parsedTs),
-          price
-        });
+        for (const [ts, price] of coin.prices) {
+          if (price == null || isNaN(price)) continue;
+
+          let parsedTs = ts;
+
+          // Raw timestamps are numbers (ms)
+          if (typeof ts !== "number") {
+            const parsed = Date.parse(ts);
+            if (isNaN(parsed)) continue;
+            parsedTs = parsed;
+          }
+
+          yield {
+            coin: name,
+            timestamp: toLookerTimestamp(parsedTs),
+            price
+          };
+        }
       }
     }
 
-    return res.json(flattened);
+    return await res.sendRows(flattened(), { columns: ["coin", "timestamp", "price"] });
   } catch (err) {
     console.error("❌ compare_flat error:", err.message);
     return res.status(500).json({ error: "Failed to build flat comparison table" });
   }
 });
 
-async function ensurePreloadedCoin(coinId) {
-  const key = `preload_${coinId}`;
+// Normalize + filter CoinGecko [timestamp, value] points for Looker
+function cleanSeries(series) {
+  return (series || [])
+    .filter(p => Array.isArray(p) && p.length === 2)     // ensure [timestamp, value]
+    .map(([ts, value]) => {
+      const d = new Date(ts);
+      if (isNaN(d.getTime())) return null;               // skip invalid timestamps
+      return [ ts, value ]; // keep raw UNIX ms timestamp
+    })
+    .filter(Boolean);                                     // drop null rows
+}
+
+// Keep all three market_chart series: prices, market caps and volumes
+function chartFromMarketData(coinId, data) {
+  return {
+    name: coinId,
+    prices: cleanSeries(data.prices),
+    market_caps: cleanSeries(data.market_caps),
+    total_volumes: cleanSeries(data.total_volumes)
+  };
+}
+
+// USD keys stay "preload_<coin>" so charts saved before multi-currency still load
+function preloadKey(coinId, vs = DEFAULT_VS) {
+  return vs === DEFAULT_VS ? `preload_${coinId}` : `preload_${coinId}_${vs}`;
+}
+
+async function ensurePreloadedCoin(coinId, vs = DEFAULT_VS) {
+  const key = preloadKey(coinId, vs);
 
   // already cached?
   if (compareCache[key] && compareCache[key].data && compareCache[key].data.prices?.length > 0) {
     return compareCache[key];
   }
 
-  console.log(`🔄 On-demand preload for ${coinId}...`);
+  console.log(`🔄 On-demand preload for ${coinId} (${vs})...`);
 
   try {
     const url = `https://api.coingecko.com/api/v3/coins/${coinId}/market_chart`;
-    const params = { vs_currency: "usd", days: 365, interval: "daily" };
+    const params = { vs_currency: vs, days: 365, interval: "daily" };
 
     const data = await fetchWithRetry(url, params);
 
-    const cleanPrices = (data.prices || [])
-      .filter(p => Array.isArray(p) && p.length === 2)
-      .map(([ts, price]) => [ts, price]);
-
     compareCache[key] = {
       timestamp: Date.now(),
-      data: { name: coinId, prices: cleanPrices }
+      fullRefreshAt: Date.now(),
+      data: chartFromMarketData(coinId, data)
     };
 
     console.log(`✅ On-demand preload OK for ${coinId}`);
+    await archiveChart(coinId, vs, compareCache[key].data);
     return compareCache[key];
   } catch (err) {
     console.warn(`❌ On-demand preload FAILED for ${coinId}: ${err.message}`);
@@ -417,8 +744,102 @@ async function ensurePreloadedCoin(coinId) {
   }
 }
 
+// Preloaded chart for a route: cached, or fetched once on demand
+async function getPreloadedChart(coinId, vs = DEFAULT_VS) {
+  const cached = compareCache[preloadKey(coinId, vs)] || await ensurePreloadedCoin(coinId, vs);
+
+  // Only coins that actually have data count toward promotion
+  if (cached?.data?.prices?.length > 0) recordCoinRequest(coinId);
+
+  return cached;
+}
+
+// === Multi-year daily archive ===
+const historyArchive = createHistoryArchive({
+  defaultVs: DEFAULT_VS,
+  isPinned: coinId => getPreloadCoins().includes(coinId)
+});
+
+function archiveChart(coinId, vs, chart) {
+  return historyArchive.record(coinId, vs, chart).catch(err =>
+    console.warn(`Crypto: ⚠️ Failed archiving ${coinId} (${vs}):`, err.message)
+  );
+}
+
+// Chart for a flat route: the preload cache, or the archive when ?from=/?to= is set
+async function chartForRange(coinId, vs, range) {
+  if (!range) return getPreloadedChart(coinId, vs);
+
+  // Make sure the archive holds at least what the preload cache has
+  const cached = compareCache[preloadKey(coinId, vs)];
+  if (cached?.data) await archiveChart(coinId, vs, cached.data);
+
+  const rows = await historyArchive.range(coinId, vs, range.from, range.to);
+  if (rows.length === 0) return null;
+
+  return {
+    timestamp: Date.now(),
+    data: {
+      name: coinId,
+      prices: rows.map(([ts, price]) => [ts, price]),
+      market_caps: rows.map(([ts, , cap]) => [ts, cap]),
+      total_volumes: rows.map(([ts, , , volume]) => [ts, volume])
+    }
+  };
+}
+
+function parseRange(req, res) {
+  const range = parseDateRange(req.query);
+  if (range?.error) {
+    res.status(400).json({ error: range.error });
+    return undefined;
+  }
+  return range;
+}
+
+// === ?fields= selector for flat rows ===
+// coin + timestamp are always included; fields= picks the value columns
+function parseFields(req, res, allowed) {
+  if (!req.query.fields) return allowed;
+
+  const fields = String(req.query.fields)
+    .split(",")
+    .map(f => f.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = fields.filter(f => !allowed.includes(f));
+  if (unknown.length > 0) {
+    res.status(400).json({ error: `Unknown fields: ${unknown.join(", ")} (allowed: ${allowed.join(", ")})` });
+    return null;
+  }
+
+  return fields;
+}
+
+function pickFields(row, fields) {
+  const picked = { coin: row.coin, timestamp: row.timestamp };
+  for (const f of fields) picked[f] = row[f];
+  return picked;
+}
+
+// timestamp -> value for market_caps / total_volumes (older saved charts lack them)
+function seriesLookup(series) {
+  return new Map((series || []).map(([ts, value]) => [ts, value]));
+}
+
 // === Looker: All preloaded coins, flattened ===
-router.get("/compare_flat_all", async (req, res) => {
+const COMPARE_FLAT_ALL_FIELDS = ["price", "pct_change", "market_cap", "volume"];
+
+router.get("/compare_flat_all", flat, async (req, res) => {
+  const fields = parseFields(req, res, COMPARE_FLAT_ALL_FIELDS);
+  if (!fields) return;
+
+  const vs = parseVs(req, res);
+  if (!vs) return;
+
+  const range = parseRange(req, res);
+  if (range === undefined) return;
+
   try {
     // ── 1) Use ?coins=a,b,c if provided, otherwise use preload list ─────────
     let coinList = [];
@@ -429,70 +850,71 @@ router.get("/compare_flat_all", async (req, res) => {
         .map(c => c.trim().toLowerCase())
         .filter(Boolean);
     } else {
-      coinList = PRELOAD_COINS;
+      coinList = getPreloadCoins();
     }
 
-    const results = [];
-
-    // ── 2) Iterate through each requested coin ─────────────────────────────
-    for (const coinId of coinList) {
-      let cached = compareCache[`preload_${coinId}`];
-
-      if (!cached) {
-        cached = await ensurePreloadedCoin(coinId);
-      }
-      
-      if (!cached || !cached.data || !cached.data.prices) {
-        console.warn(`⚠️ Still no data for ${coinId}`);
-        continue;
-      }
-
-      const name = cached.data.name;
-      const prices = cached.data.prices;
+    // Rows are generated coin by coin while the response streams
+    async function* rows() {
+      // ── 2) Iterate through each requested coin ─────────────────────────────
+      for (const coinId of coinList) {
+        const cached = await chartForRange(coinId, vs, range);
+        
+        if (!cached || !cached.data || !cached.data.prices) {
+          console.warn(`⚠️ Still no data for ${coinId}`);
+          continue;
+        }
 
-      // --- 3) Compute pct_change from first valid price ---
-      let firstPrice = null;
-      for (const [ts, price] of prices) {
-        if (price != null && !isNaN(price)) {
-          firstPrice = price;
-          break;
+        const name = cached.data.name;
+        const prices = cached.data.prices;
+        const marketCaps = seriesLookup(cached.data.market_caps);
+        const volumes = seriesLookup(cached.data.total_volumes);
+
+        // --- 3) Compute pct_change from first valid price ---
+        let firstPrice = null;
+        for (const [ts, price] of prices) {
+          if (price != null && !isNaN(price)) {
+            firstPrice = price;
+            break;
+          }
         }
-      }
-      
-      if (!firstPrice) {
-        console.warn(`⚠️ No valid first price for ${coinId}`);
-        continue;
-      }
-      
-      // --- 4) Flatten rows with pct_change included ---
-      for (const [ts, price] of prices) {
-        if (price == null || isNaN(price)) continue;
-      
-        let convertedTs;
-      
-        if (typeof ts === "number") {
-          convertedTs = toLookerTimestamp(ts);
-        } else {
-          const parsed = Date.parse(ts);
-          if (!isNaN(parsed)) {
-            convertedTs = toLookerTimestamp(parsed);
+        
+        if (!firstPrice) {
+          console.warn(`⚠️ No valid first price for ${coinId}`);
+          continue;
+        }
+        
+        // --- 4) Flatten rows with pct_change included ---
+        for (const [ts, price] of prices) {
+          if (price == null || isNaN(price)) continue;
+        
+          let convertedTs;
+        
+          if (typeof ts === "number") {
+            convertedTs = toLookerTimestamp(ts);
+          } else {
+            const parsed = Date.parse(ts);
+            if (!isNaN(parsed)) {
+              convertedTs = toLookerTimestamp(parsed);
+            }
           }
+        
+          if (!convertedTs) continue;
+        
+          const pct_change = (price - firstPrice) / firstPrice; // decimal form
+        
+          yield pickFields({
+            coin: name,
+            timestamp: convertedTs,
+            price,
+            pct_change,
+            market_cap: marketCaps.get(ts) ?? null,
+            volume: volumes.get(ts) ?? null
+          }, fields);
         }
-      
-        if (!convertedTs) continue;
-      
-        const pct_change = (price - firstPrice) / firstPrice; // decimal form
-      
-        results.push({
-          coin: name,
-          timestamp: convertedTs,
-          price,
-          pct_change
-        });
       }
     }
 
-    res.json(results);
+    await res.sendRows(rows(), { columns: ["coin", "timestamp", ...fields] });
   } catch (err) {
     console.error("❌ compare_flat_all error:", err.message);
     res.status(500).json({ error: "Failed to build dataset" });
@@ -500,105 +922,909 @@ router.get("/compare_flat_all", async (req, res) => {
 });
 
 // --- Single coin flat time-series for Looker Studio ---
-router.get("/flat_single", async (req, res) => {
+const FLAT_SINGLE_FIELDS = ["price", "market_cap", "volume"];
+
+router.get("/flat_single", flat, async (req, res) => {
+  const fields = parseFields(req, res, FLAT_SINGLE_FIELDS);
+  if (!fields) return;
+
+  const vs = parseVs(req, res);
+  if (!vs) return;
+
+  const range = parseRange(req, res);
+  if (range === undefined) return;
+
   try {
     const coinId = (req.query.coin || "").toLowerCase().trim();
     if (!coinId) {
       return res.status(400).json({ error: "Missing ?coin= parameter" });
     }
 
-    // Try cache first
-    let cached = compareCache[`preload_${coinId}`];
+    // Try cache first, load once if not preloaded yet (archive for a date range)
+    const cached = await chartForRange(coinId, vs, range);
 
-    // If not preloaded yet, load once
-    if (!cached) {
-      cached = await ensurePreloadedCoin(coinId);
-    }
+    const columns = ["coin", "timestamp", ...fields];
 
     if (!cached || !cached.data || !cached.data.prices) {
-      return res.json([]);
+      return res.sendRows([], { columns });
     }
 
     const name = cached.data.name;
     const prices = cached.data.prices;
+    const marketCaps = seriesLookup(cached.data.market_caps);
+    const volumes = seriesLookup(cached.data.total_volumes);
 
-    const results = prices.map(([ts, price]) => ({
-      coin: name,
-      timestamp: toLookerTimestamp(ts),
-      price
-    }));
+    function* results() {
+      for (const [ts, price] of prices) {
+        yield pickFields({
+          coin: name,
+          timestamp: toLookerTimestamp(ts),
+          price,
+          market_cap: marketCaps.get(ts) ?? null,
+          volume: volumes.get(ts) ?? null
+        }, fields);
+      }
+    }
 
-    res.json(results);
+    await res.sendRows(results(), { columns });
   } catch (err) {
     console.error("❌ flat_single error:", err.message);
     res.status(500).json({ error: "Failed to build single coin dataset" });
   }
 });
 
-// not currently used
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// === Improved background retry worker (30 attempts, alignment, no dead coins) ===
-setInterval(async () => {
-  if (retryQueue.length === 0) return;
+// === Technical indicators from the preloaded history (Looker flat rows) ===
+const DEFAULT_INDICATOR_SET = "sma20,ema50,rsi14,macd,bollinger";
 
-  const task = retryQueue.shift();
-  const { coin1, coin2, attempt } = task;
-  const key = [coin1, coin2].sort().join("_");
+router.get("/indicators", flat, async (req, res) => {
+  const coinId = String(req.query.coin || "").toLowerCase().trim();
+  if (!coinId) {
+    return res.status(400).json({ error: "Missing ?coin= parameter" });
+  }
 
-  console.log(`🔁 Background retry for ${key} (attempt ${attempt}/30)`);
+  const vs = parseVs(req, res);
+  if (!vs) return;
 
-  const params = { vs_currency: "usd", days: 365, interval: "daily" };
-  const url1 = `https://api.coingecko.com/api/v3/coins/${coin1}/market_chart`;
-  const url2 = `https://api.coingecko.com/api/v3/coins/${coin2}/market_chart`;
+  const { specs, invalid } = parseIndicatorSet(req.query.set || DEFAULT_INDICATOR_SET);
+  if (invalid.length > 0 || specs.length === 0) {
+    return res.status(400).json({
+      error: `Invalid ?set= entries: ${invalid.join(", ") || "(empty)"} (use sma<N>, ema<N>, rsi<N>, macd, bollinger)`
+    });
+  }
 
   try {
-    const [data1, data2] = await Promise.all([
-      fetchWithRetry(url1, params),
-      fetchWithRetry(url2, params)
-    ]);
+    const cached = await getPreloadedChart(coinId, vs);
 
-    // Align the charts so Looker never breaks
-    const s1 = data1?.prices || [];
-    const s2 = data2?.prices || [];
-    const [aligned1, aligned2] = alignTimeframes(s1, s2);
+    if (!cached || !cached.data || !cached.data.prices) {
+      return res.sendRows([]);
+    }
 
-    compareCache[key] = {
-      timestamp: Date.now(),
-      data: {
-        coin1,
-        coin2,
-        data: [
-          { name: coin1, prices: aligned1 },
-          { name: coin2, prices: aligned2 }
-        ]
-      }
-    };
+    const points = cached.data.prices.filter(([ts, price]) => price != null && !isNaN(price));
+    const columns = computeIndicators(points.map(([, price]) => price), specs);
 
-    console.log(`✅ Background retry SUCCESS for ${key}`);
+    const results = points.map(([ts, price], i) => {
+      const row = { coin: cached.data.name, timestamp: toLookerTimestamp(ts), price };
+      for (const [name, values] of Object.entries(columns)) row[name] = values[i];
+      return row;
+    });
 
+    await res.sendRows(results);
   } catch (err) {
-    console.warn(`⚠️ Background retry failed for ${key}: ${err.message}`);
+    console.error("❌ indicators error:", err.message);
+    res.status(500).json({ error: "Failed to compute indicators" });
+  }
+});
 
-    if (attempt < 30) {
-      retryQueue.push({ coin1, coin2, attempt: attempt + 1 });
-      console.log(`🔁 Re-queued ${key} (attempt ${attempt + 1}/30)`);
+// === Correlation matrix across preloaded coins ===
+// Built only from cached preload histories — never calls CoinGecko
+const DEFAULT_CORRELATION_WINDOW = 30;
+const BETA_BENCHMARK = "bitcoin";
+
+function parseCorrelationQuery(req, res) {
+  const vs = parseVs(req, res);
+  if (!vs) return null;
+
+  const window = req.query.window ? parseInt(req.query.window) : DEFAULT_CORRELATION_WINDOW;
+  if (!Number.isInteger(window) || window < 3 || window > 365) {
+    res.status(400).json({ error: "Invalid ?window= (expected 3-365 days)" });
+    return null;
+  }
+
+  const coins = req.query.coins
+    ? [...new Set(String(req.query.coins).split(",").map(c => c.trim().toLowerCase()).filter(Boolean))]
+    : getPreloadCoins();
+
+  return { coins, vs, window };
+}
+
+function buildCorrelation(coins, vs, window) {
+  const series = {};
+  const missing = [];
+
+  for (const coinId of coins) {
+    const prices = compareCache[preloadKey(coinId, vs)]?.data?.prices;
+    if (prices?.length > 0) {
+      series[coinId] = prices;
     } else {
-      console.error(`❌ Giving up on ${key} after 30 failed attempts`);
+      missing.push(coinId);
+    }
+  }
+
+  const available = Object.keys(series);
+  const matrix = {};
+  const rolling = [];
+
+  for (const a of available) {
+    matrix[a] = {};
+  }
+
+  for (let i = 0; i < available.length; i++) {
+    const a = available[i];
+    matrix[a][a] = 1;
+
+    for (let j = i + 1; j < available.length; j++) {
+      const b = available[j];
+      const returns = pairedReturns(series[a], series[b]);
+      const corr = pearson(returns.map(r => r[1]), returns.map(r => r[2]));
+
+      matrix[a][b] = corr;
+      matrix[b][a] = corr;
+      rolling.push({ coin_a: a, coin_b: b, series: rollingCorrelation(returns, window) });
+    }
+  }
+
+  const benchmark = compareCache[preloadKey(BETA_BENCHMARK, vs)]?.data?.prices;
+  const betas = {};
+
+  for (const coinId of available) {
+    if (!benchmark) {
+      betas[coinId] = null;
+      continue;
+    }
+
+    const returns = pairedReturns(series[coinId], benchmark);
+    betas[coinId] = beta(returns.map(r => r[1]), returns.map(r => r[2]));
+  }
+
+  return {
+    coins: available,
+    vs,
+    window,
+    benchmark: BETA_BENCHMARK,
+    matrix,
+    beta: betas,
+    rolling,
+    ...(missing.length > 0 ? { warning: `Not preloaded, skipped: ${missing.join(", ")}` } : {})
+  };
+}
+
+router.get("/correlation", (req, res) => {
+  const query = parseCorrelationQuery(req, res);
+  if (!query) return;
+
+  try {
+    res.json(buildCorrelation(query.coins, query.vs, query.window));
+  } catch (err) {
+    console.error("❌ correlation error:", err.message);
+    res.status(500).json({ error: "Failed to build correlation matrix" });
+  }
+});
+
+// --- Correlation in Looker long format: ?view=matrix|rolling|beta ---
+router.get("/correlation_flat", flat, async (req, res) => {
+  const query = parseCorrelationQuery(req, res);
+  if (!query) return;
+
+  const view = String(req.query.view || "matrix").toLowerCase();
+
+  try {
+    const result = buildCorrelation(query.coins, query.vs, query.window);
+
+    if (view === "matrix") {
+      return await res.sendRows(
+        Object.entries(result.matrix).flatMap(([a, row]) =>
+          Object.entries(row).map(([b, correlation]) => ({ coin_a: a, coin_b: b, correlation }))
+        )
+      );
+    }
+
+    if (view === "rolling") {
+      return await res.sendRows(
+        result.rolling.flatMap(({ coin_a, coin_b, series }) =>
+          series.map(([ts, correlation]) => ({
+            coin_a,
+            coin_b,
+            timestamp: toLookerTimestamp(ts),
+            correlation
+          }))
+        )
+      );
+    }
+
+    if (view === "beta") {
+      return await res.sendRows(
+        Object.entries(result.beta).map(([coin, value]) => ({
+          coin,
+          benchmark: result.benchmark,
+          beta: value
+        }))
+      );
+    }
+
+    res.status(400).json({ error: "Invalid ?view= (expected matrix, rolling or beta)" });
+  } catch (err) {
+    console.error("❌ correlation_flat error:", err.message);
+    res.status(500).json({ error: "Failed to build correlation dataset" });
+  }
+});
+
+// === Portfolio valuation ===
+// Holdings: { "<coin id>": quantity } or { "<coin id>": { quantity, cost_basis } },
+// cost_basis being the average price paid per coin in the quote currency.
+// Coins may be given as symbols or names ("BTC") and are resolved to ids.
+// Named portfolios are saved through cacheStore.
+const PORTFOLIO_CACHE_FILE = "cryptoPortfolios.json";
+const MAX_PORTFOLIO_COINS = MAX_COMPARE_COINS;
+const portfolios = Object.create(null); // no inherited keys: names come from the URL
+
+// Raw holdings -> { holdings } or { error }
+function normalizeHoldings(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "holdings must be an object of coin -> quantity" };
+  }
+
+  const entries = Object.entries(raw);
+  if (entries.length === 0) return { error: "holdings is empty" };
+  if (entries.length > MAX_PORTFOLIO_COINS) {
+    return { error: `At most ${MAX_PORTFOLIO_COINS} coins per portfolio` };
+  }
+
+  const holdings = new Map();
+
+  for (const [coin, value] of entries) {
+    const entry = typeof value === "number" ? { quantity: value } : value;
+    const quantity = Number(entry?.quantity);
+    const costBasis = entry?.cost_basis == null ? null : Number(entry.cost_basis);
+
+    if (!Number.isFinite(quantity) || quantity < 0) return { error: `Invalid quantity for "${coin}"` };
+    if (costBasis !== null && !Number.isFinite(costBasis)) return { error: `Invalid cost_basis for "${coin}"` };
+
+    const resolved = coinResolver.resolve(coin);
+    if (resolved.ambiguous) return { error: `Ambiguous coin "${coin}" — use its CoinGecko id` };
+    if (!resolved.id || !/^[a-z0-9-]+$/.test(resolved.id)) return { error: `Unknown coin "${coin}"` };
+    if (holdings.has(resolved.id)) return { error: `"${resolved.id}" is listed more than once` };
+
+    holdings.set(resolved.id, { quantity, cost_basis: costBasis });
+  }
+
+  return { holdings: Object.fromEntries(holdings) };
+}
+
+// Holdings from a saved ?name= / body.name, or inline in the POST body
+function resolvePortfolio(req, res) {
+  const name = req.query.name || req.body?.name;
+
+  if (name) {
+    const saved = Object.hasOwn(portfolios, name) ? portfolios[name] : null;
+    if (!saved) {
+      res.status(404).json({ error: `No saved portfolio "${name}"` });
+      return null;
+    }
+    return { name, holdings: saved.holdings };
+  }
+
+  if (req.body?.holdings === undefined) {
+    res.status(400).json({ error: "Provide ?name= of a saved portfolio or a holdings object in the POST body" });
+    return null;
+  }
+
+  const { holdings, error } = normalizeHoldings(req.body.holdings);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+
+  return { name: null, holdings };
+}
+
+async function valuePortfolio(holdings, vs) {
+  await ensureMarketData(vs).catch(err =>
+    console.warn(`⚠️ ${vs} prices unavailable for portfolio:`, err.message)
+  );
+
+  const market = new Map((marketData(vs) || []).map(c => [c.id, c]));
+  const positions = [];
+  const missing = [];
+
+  for (const [coin, { quantity, cost_basis }] of Object.entries(holdings)) {
+    const price = market.get(coin)?.current_price ?? null;
+    if (price === null) missing.push(coin);
+
+    const value = price === null ? null : price * quantity;
+    const cost = cost_basis === null ? null : cost_basis * quantity;
+    const pnl = value !== null && cost !== null ? value - cost : null;
+
+    positions.push({
+      coin,
+      quantity,
+      price,
+      value,
+      cost_basis,
+      cost,
+      pnl,
+      pnl_pct: pnl !== null && cost ? pnl / cost : null
+    });
+  }
+
+  const totalValue = positions.reduce((sum, p) => sum + (p.value ?? 0), 0);
+  const costed = positions.filter(p => p.pnl !== null);
+  const totalCost = costed.reduce((sum, p) => sum + p.cost, 0);
+  const totalPnl = costed.reduce((sum, p) => sum + p.pnl, 0);
+
+  for (const p of positions) {
+    p.weight = p.value !== null && totalValue > 0 ? p.value / totalValue : null;
+  }
+
+  // Daily value history over the timestamps every holding has a price for.
+  // Only charts already cached are used: valuing a portfolio never fetches charts.
+  const series = [];
+  for (const coin of Object.keys(holdings)) {
+    const cached = compareCache[preloadKey(coin, vs)];
+
+    if (cached?.data?.prices?.length > 0) {
+      series.push({ coin, prices: cached.data.prices });
+    } else if (!missing.includes(coin)) {
+      missing.push(coin);
+    }
+  }
+
+  const aligned = alignTimeframes(series.map(s => s.prices), "intersection");
+  const history = (aligned[0] || []).map(([ts], i) => [
+    ts,
+    series.reduce((sum, s, j) => sum + aligned[j][i][1] * holdings[s.coin].quantity, 0)
+  ]);
+
+  return {
+    vs,
+    total_value: totalValue,
+    total_cost: costed.length > 0 ? totalCost : null,
+    total_pnl: costed.length > 0 ? totalPnl : null,
+    total_pnl_pct: costed.length > 0 && totalCost ? totalPnl / totalCost : null,
+    positions,
+    history,
+    ...(missing.length > 0 ? { warning: `No price data for: ${missing.join(", ")}` } : {})
+  };
+}
+
+async function handlePortfolio(req, res) {
+  const portfolio = resolvePortfolio(req, res);
+  if (!portfolio) return;
+
+  const vs = parseVs(req, res);
+  if (!vs) return;
+
+  try {
+    res.json({ name: portfolio.name, ...(await valuePortfolio(portfolio.holdings, vs)) });
+  } catch (err) {
+    console.error("❌ portfolio error:", err.message);
+    res.status(500).json({ error: "Failed to value portfolio" });
+  }
+}
+
+async function handlePortfolioFlat(req, res) {
+  const portfolio = resolvePortfolio(req, res);
+  if (!portfolio) return;
+
+  const vs = parseVs(req, res);
+  if (!vs) return;
+
+  try {
+    const { history } = await valuePortfolio(portfolio.holdings, vs);
+
+    await res.sendRows(history.map(([ts, value]) => ({
+      portfolio: portfolio.name || "custom",
+      timestamp: toLookerTimestamp(ts),
+      value
+    })));
+  } catch (err) {
+    console.error("❌ portfolio_flat error:", err.message);
+    res.status(500).json({ error: "Failed to build portfolio dataset" });
+  }
+}
+
+router.get("/portfolio", handlePortfolio);
+router.post("/portfolio", handlePortfolio);
+
+// --- Portfolio value history flattened for Looker Studio ---
+router.get("/portfolio_flat", flat, handlePortfolioFlat);
+router.post("/portfolio_flat", flat, handlePortfolioFlat);
+
+// --- Saved portfolios ---
+router.get("/portfolios", (req, res) => {
+  res.json(Object.entries(portfolios).map(([name, p]) => ({
+    name,
+    coins: Object.keys(p.holdings),
+    updatedAt: p.updatedAt
+  })));
+});
+
+router.put("/portfolios/:name", requireAdmin, async (req, res) => {
+  const { holdings, error } = normalizeHoldings(req.body?.holdings);
+  if (error) {
+    return res.status(400).json({ error: `Body must contain a holdings object: ${error}` });
+  }
+
+  portfolios[req.params.name] = { holdings, updatedAt: new Date().toISOString() };
+
+  try {
+    await savePortfolios();
+    res.json({ name: req.params.name, ...portfolios[req.params.name] });
+  } catch (err) {
+    console.error("❌ Failed saving portfolios:", err.message);
+    res.status(500).json({ error: "Portfolio updated in memory but could not be saved" });
+  }
+});
+
+router.delete("/portfolios/:name", requireAdmin, async (req, res) => {
+  if (!Object.hasOwn(portfolios, req.params.name)) {
+    return res.status(404).json({ error: `No saved portfolio "${req.params.name}"` });
+  }
+
+  delete portfolios[req.params.name];
+
+  try {
+    await savePortfolios();
+    res.json({ status: "ok", deleted: req.params.name });
+  } catch (err) {
+    console.error("❌ Failed saving portfolios:", err.message);
+    res.status(500).json({ error: "Portfolio deleted in memory but could not be saved" });
+  }
+});
+
+async function savePortfolios() {
+  await saveCache(PORTFOLIO_CACHE_FILE, portfolios, "Update crypto portfolios");
+}
+
+async function loadPortfolios() {
+  try {
+    const data = await loadCache(PORTFOLIO_CACHE_FILE);
+    if (data) {
+      Object.assign(portfolios, data);
+      console.log(`Crypto: 📂 Loaded ${Object.keys(portfolios).length} saved portfolios`);
+    }
+  } catch (err) {
+    console.warn("Crypto: ❌ Failed loading portfolios:", err.message);
+  }
+}
+
+// === Price alerts (admin) ===
+const priceAlerts = createPriceAlerts({
+  defaultVs: DEFAULT_VS,
+  resolveCoin: input => {
+    const result = coinResolver.resolve(input);
+    if (result.id) return { id: result.id };
+    return { error: result.ambiguous ? `Ambiguous coin "${input}" — use its CoinGecko id` : `Unknown coin "${input}"` };
+  }
+});
+
+router.get("/alerts", requireAdmin, (req, res) => {
+  res.json(priceAlerts.list());
+});
+
+router.post("/alerts", requireAdmin, async (req, res) => {
+  try {
+    const result = await priceAlerts.create(req.body);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.status(201).json(result.rule);
+  } catch (err) {
+    console.error("❌ Failed saving alert:", err.message);
+    res.status(500).json({ error: "Alert could not be saved" });
+  }
+});
+
+router.get("/alerts/:id", requireAdmin, (req, res) => {
+  const rule = priceAlerts.get(req.params.id);
+  if (!rule) return res.status(404).json({ error: `No alert "${req.params.id}"` });
+  res.json(rule);
+});
+
+router.put("/alerts/:id", requireAdmin, async (req, res) => {
+  try {
+    const result = await priceAlerts.update(req.params.id, req.body || {});
+    if (result.notFound) return res.status(404).json({ error: `No alert "${req.params.id}"` });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json(result.rule);
+  } catch (err) {
+    console.error("❌ Failed saving alert:", err.message);
+    res.status(500).json({ error: "Alert could not be saved" });
+  }
+});
+
+router.delete("/alerts/:id", requireAdmin, async (req, res) => {
+  try {
+    if (!(await priceAlerts.remove(req.params.id))) {
+      return res.status(404).json({ error: `No alert "${req.params.id}"` });
+    }
+    res.json({ status: "ok", deleted: req.params.id });
+  } catch (err) {
+    console.error("❌ Failed saving alerts:", err.message);
+    res.status(500).json({ error: "Alert removed in memory but could not be saved" });
+  }
+});
+
+// Sends a sample payload to the rule's webhook and reports how delivery went
+router.post("/alerts/:id/test", requireAdmin, async (req, res) => {
+  const result = await priceAlerts.test(req.params.id);
+  if (!result) return res.status(404).json({ error: `No alert "${req.params.id}"` });
+  res.status(result.ok ? 200 : 502).json(result);
+});
+
+// === OHLC candles ===
+const OHLC_CACHE_DURATION = 15 * 60 * 1000; // 15 min
+const OHLC_DAYS = ["1", "7", "14", "30", "90", "180", "365", "max"];
+
+// CoinGecko picks candle size from `days` (30 min / 4 h / 4 days);
+// anything coarser is resampled here
+const OHLC_INTERVALS = {
+  auto: null,
+  "4h": 4 * 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Candle size CoinGecko returns for `days`; an interval can only be this or coarser
+function nativeCandleMs(days) {
+  if (days === "1") return 30 * 60 * 1000;
+  if (days !== "max" && Number(days) <= 30) return 4 * 60 * 60 * 1000;
+  return 4 * 24 * 60 * 60 * 1000;
+}
+
+function resampleCandles(candles, bucketMs) {
+  if (!bucketMs) return candles;
+
+  const buckets = new Map();
+
+  for (const [ts, open, high, low, close] of candles) {
+    const bucket = Math.floor(ts / bucketMs) * bucketMs;
+    const current = buckets.get(bucket);
+
+    if (!current) {
+      buckets.set(bucket, [bucket, open, high, low, close]);
+    } else {
+      current[2] = Math.max(current[2], high);
+      current[3] = Math.min(current[3], low);
+      current[4] = close;
+    }
+  }
+
+  return [...buckets.values()];
+}
+
+async function getOhlc(coinId, days, interval, vs = DEFAULT_VS) {
+  const key = `ohlc_${coinId}_${days}_${interval}_${vs}`;
+
+  const cached = compareCache[key];
+  if (cached && Date.now() - cached.timestamp < OHLC_CACHE_DURATION) {
+    console.log(`🟢 Served ${key} from cache`);
+    return cached.data;
+  }
+
+  if (compareLocks[key]) {
+    console.log(`⏳ Waiting for existing fetch for ${key}`);
+    return compareLocks[key];
+  }
+
+  compareLocks[key] = (async () => {
+    try {
+      const url = `https://api.coingecko.com/api/v3/coins/${coinId}/ohlc`;
+      const raw = await fetchWithRetry(url, { vs_currency: vs, days });
+
+      const candles = (Array.isArray(raw) ? raw : [])
+        .filter(c => Array.isArray(c) && c.length === 5 && c.every(v => v != null && !isNaN(v)))
+        .sort((a, b) => a[0] - b[0]);
+
+      const data = {
+        coin: coinId,
+        days,
+        interval,
+        vs,
+        candles: resampleCandles(candles, OHLC_INTERVALS[interval])
+      };
+
+      compareCache[key] = { timestamp: Date.now(), data };
+      console.log(`✅ Cached ${key} — ${data.candles.length} candles`);
+      return data;
+    } catch (err) {
+      console.warn(`⚠️ OHLC fetch failed for ${key}: ${err.message}`);
+
+      if (cached) {
+        return { ...cached.data, warning: "Served stale cached data due to error" };
+      }
+      throw err;
+    } finally {
+      delete compareLocks[key];
+    }
+  })();
+
+  return compareLocks[key];
+}
+
+function parseOhlcQuery(req, res) {
+  const coinId = String(req.query.coin || "").toLowerCase().trim();
+  const days = String(req.query.days || "30").toLowerCase();
+  const interval = String(req.query.interval || "auto").toLowerCase();
+  const vs = parseVs(req, res);
+  if (!vs) return null;
+
+  if (!coinId) {
+    res.status(400).json({ error: "Missing ?coin= parameter" });
+    return null;
+  }
+  if (!OHLC_DAYS.includes(days)) {
+    res.status(400).json({ error: `Invalid ?days= (expected one of ${OHLC_DAYS.join(", ")})` });
+    return null;
+  }
+  if (!Object.hasOwn(OHLC_INTERVALS, interval)) {
+    res.status(400).json({ error: `Invalid ?interval= (expected one of ${Object.keys(OHLC_INTERVALS).join(", ")})` });
+    return null;
+  }
+  if (OHLC_INTERVALS[interval] && OHLC_INTERVALS[interval] < nativeCandleMs(days)) {
+    res.status(400).json({
+      error: `?interval=${interval} is finer than the candles CoinGecko returns for days=${days} ` +
+        "(30 min up to 1 day, 4 h up to 30 days, 4 days beyond); use a shorter ?days= or a coarser interval"
+    });
+    return null;
+  }
+
+  return { coinId, days, interval, vs };
+}
+
+router.get("/ohlc", async (req, res) => {
+  const query = parseOhlcQuery(req, res);
+  if (!query) return;
+
+  try {
+    res.json(await getOhlc(query.coinId, query.days, query.interval, query.vs));
+  } catch (err) {
+    console.error("❌ ohlc error:", err.message);
+    res.status(200).json({
+      coin: query.coinId,
+      days: query.days,
+      interval: query.interval,
+      vs: query.vs,
+      candles: [],
+      warning: "No data available — using placeholder"
+    });
+  }
+});
+
+// --- OHLC flattened for Looker Studio ---
+router.get("/ohlc_flat", flat, async (req, res) => {
+  const query = parseOhlcQuery(req, res);
+  if (!query) return;
+
+  try {
+    const data = await getOhlc(query.coinId, query.days, query.interval, query.vs);
+
+    await res.sendRows(data.candles.map(([ts, open, high, low, close]) => ({
+      coin: data.coin,
+      timestamp: toLookerTimestamp(ts),
+      open,
+      high,
+      low,
+      close
+    })));
+  } catch (err) {
+    console.error("❌ ohlc_flat error:", err.message);
+    res.status(500).json({ error: "Failed to build OHLC dataset" });
+  }
+});
+
+// not currently used
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// === Improved background retry worker (30 attempts, alignment, no dead coins) ===
+setInterval(async () => {
+  if (retryQueue.length === 0) return;
+
+  const task = retryQueue.shift();
+  const { coins, vs = DEFAULT_VS, attempt } = task;
+  const key = compareKey(coins, vs);
+
+  console.log(`🔁 Background retry for ${key} (attempt ${attempt}/30)`);
+
+  const params = { vs_currency: vs, days: 365, interval: "daily" };
+
+  try {
+    const datasets = await Promise.all(
+      coins.map(coinId =>
+        fetchWithRetry(`https://api.coingecko.com/api/v3/coins/${coinId}/market_chart`, params)
+      )
+    );
+
+    // Raw series are cached; /compare aligns them per request
+    compareCache[key] = {
+      timestamp: Date.now(),
+      data: {
+        vs,
+        series: coins.map((name, i) => ({ name, prices: datasets[i]?.prices || [] }))
+      }
+    };
+
+    console.log(`✅ Background retry SUCCESS for ${key}`);
+
+  } catch (err) {
+    console.warn(`⚠️ Background retry failed for ${key}: ${err.message}`);
+
+    if (attempt < 30) {
+      retryQueue.push({ coins, vs, attempt: attempt + 1 });
+      console.log(`🔁 Re-queued ${key} (attempt ${attempt + 1}/30)`);
+    } else {
+      console.error(`❌ Giving up on ${key} after 30 failed attempts`);
     }
   }
 }, 15 * 1000);
 
+// --- SSE: ?vs=, optional ?coins= filter; starts with a snapshot unless resuming ---
+router.get("/stream", (req, res) => {
+  const vs = parseVs(req, res);
+  if (!vs) return;
+
+  const filter = req.query.coins
+    ? new Set(String(req.query.coins).split(",").map(c => c.trim().toLowerCase()).filter(Boolean))
+    : null;
+
+  const pick = coins => (filter ? coins.filter(coin => filter.has(coin.id)) : coins);
+
+  priceStream.subscribe(req, res, {
+    select: data => {
+      if (data.vs && data.vs !== vs) return null;
+      if (!filter) return data;
+      if (data.coins) return { ...data, coins: pick(data.coins) };
+      if (!data.changed) return data;
+
+      const changed = pick(data.changed);
+      const removed = data.removed.filter(id => filter.has(id));
+      return changed.length > 0 || removed.length > 0 ? { ...data, changed, removed } : null;
+    },
+    initial: () => {
+      const entry = marketCache[vs];
+      return entry ? [{ type: "snapshot", data: { vs, lastFetch: entry.lastFetch, coins: entry.data } }] : [];
+    }
+  });
+});
+
+// === Looker Studio schemas for the flat routes ===
+// Each builder mirrors the route's query options (?vs=, ?fields=, ?set=, ?view=)
+// and returns the fields in the order the rows carry them, or null after a 400
+const coinDimension = () => dimension("coin", "Coin");
+
+const FLAT_SCHEMAS = {
+  compare_flat: (req, res, money) => [
+    coinDimension(),
+    timestampDimension(),
+    metric("price", "Price", money)
+  ],
+
+  compare_flat_all: (req, res, money) => {
+    const fields = parseFields(req, res, COMPARE_FLAT_ALL_FIELDS);
+    if (!fields) return null;
+
+    const metrics = {
+      price: metric("price", "Price", money),
+      pct_change: metric("pct_change", "Change since first point", "PERCENT"),
+      market_cap: metric("market_cap", "Market cap", money),
+      volume: metric("volume", "Volume", money)
+    };
+    return [coinDimension(), timestampDimension(), ...fields.map(f => metrics[f])];
+  },
+
+  flat_single: (req, res, money) => {
+    const fields = parseFields(req, res, FLAT_SINGLE_FIELDS);
+    if (!fields) return null;
+
+    const metrics = {
+      price: metric("price", "Price", money),
+      market_cap: metric("market_cap", "Market cap", money),
+      volume: metric("volume", "Volume", money)
+    };
+    return [coinDimension(), timestampDimension(), ...fields.map(f => metrics[f])];
+  },
+
+  indicators: (req, res, money) => {
+    const { specs, invalid } = parseIndicatorSet(req.query.set || DEFAULT_INDICATOR_SET);
+    if (invalid.length > 0 || specs.length === 0) {
+      res.status(400).json({ error: `Invalid ?set= entries: ${invalid.join(", ") || "(empty)"}` });
+      return null;
+    }
+
+    // Column names come from the indicator code itself
+    const columns = Object.keys(computeIndicators([], specs));
+    return [
+      coinDimension(),
+      timestampDimension(),
+      metric("price", "Price", money),
+      ...columns.map(c => metric(c, c.toUpperCase(), /^(rsi|macd)/.test(c) ? "NUMBER" : money))
+    ];
+  },
+
+  correlation_flat: (req, res) => {
+    const view = String(req.query.view || "matrix").toLowerCase();
+
+    if (view === "matrix") {
+      return [dimension("coin_a", "Coin A"), dimension("coin_b", "Coin B"), metric("correlation", "Correlation")];
+    }
+    if (view === "rolling") {
+      return [
+        dimension("coin_a", "Coin A"),
+        dimension("coin_b", "Coin B"),
+        timestampDimension(),
+        metric("correlation", "Correlation")
+      ];
+    }
+    if (view === "beta") {
+      return [coinDimension(), dimension("benchmark", "Benchmark"), metric("beta", "Beta")];
+    }
+
+    res.status(400).json({ error: "Invalid ?view= (expected matrix, rolling or beta)" });
+    return null;
+  },
+
+  portfolio_flat: (req, res, money) => [
+    dimension("portfolio", "Portfolio"),
+    timestampDimension(),
+    metric("value", "Value", money)
+  ],
+
+  ohlc_flat: (req, res, money) => [
+    coinDimension(),
+    timestampDimension(),
+    metric("open", "Open", money),
+    metric("high", "High", money),
+    metric("low", "Low", money),
+    metric("close", "Close", money)
+  ]
+};
+
+router.get("/schema", (req, res) => {
+  res.json({ endpoints: Object.keys(FLAT_SCHEMAS).map(name => `/crypto/schema/${name}`) });
+});
+
+router.get("/schema/:endpoint", (req, res) => {
+  const build = Object.hasOwn(FLAT_SCHEMAS, req.params.endpoint) ? FLAT_SCHEMAS[req.params.endpoint] : null;
+  if (!build) {
+    return res.status(404).json({
+      error: `No schema for ${req.params.endpoint} (available: ${Object.keys(FLAT_SCHEMAS).join(", ")})`
+    });
+  }
+
+  const vs = parseVs(req, res);
+  if (!vs) return;
+
+  const fields = build(req, res, currencySemantic(vs));
+  if (!fields) return;
+
+  res.json({ endpoint: `/crypto/${req.params.endpoint}`, vs, fields });
+});
+
 // === Health check ===
 router.get("/health", (req, res) => {
+  const lastFetch = marketCache[DEFAULT_VS]?.lastFetch || 0;
   const ageSec = ((Date.now() - lastFetch) / 1000).toFixed(0);
   res.json({
     status: "ok",
     lastFetch: new Date(lastFetch).toISOString(),
     cacheAgeSec: ageSec,
-    cacheReady: !!cache,
+    cacheReady: !!marketData(),
+    streamClients: priceStream.clientCount,
+    currencies: Object.fromEntries(
+      Object.entries(marketCache).map(([vs, entry]) => [
+        vs,
+        { cacheAgeSec: ((Date.now() - entry.lastFetch) / 1000).toFixed(0) }
+      ])
+    ),
   });
 });
 
@@ -617,6 +1843,15 @@ async function warmUp() {
     try {
       await fetchCoinData(true); // force=true, refreshes the price list
       console.log("✅ Price API warm-up OK");
+
+      // Other preload currencies are best-effort — USD is what gates startup
+      for (const vs of PRELOAD_VS_CURRENCIES) {
+        if (vs === DEFAULT_VS) continue;
+        await fetchCoinData(true, 1, vs).catch(err =>
+          console.warn(`⚠️ Warm-up for ${vs} failed: ${err.message}`)
+        );
+      }
+
       return true; // success
     } catch (err) {
       console.log(`⚠️ Warm-up failed (attempt ${attempt}): ${err?.response?.status || err.message}`);
@@ -639,7 +1874,7 @@ async function warmUp() {
 }
 
 async function checkCacheAfterSleep() {
-  if (!cache) {
+  if (!marketData()) {
     console.log("⚡ Cache empty — running internal warm-up...");
 
     try {
@@ -673,35 +1908,115 @@ async function staggeredCompareWarmup() {
   for (const [a, b] of TOP_COMPARE_PAIRS) {
     console.log(`⏳ Prewarming ${a}_${b} in 3s...`);
     await new Promise(r => setTimeout(r, 3000)); // spacing to prevent 429
-    retryQueue.push({ coin1: a, coin2: b, attempt: 1 });
+    retryQueue.push({ coins: [a, b], attempt: 1 });
   }
 }
 
 // remove for now because it's not currently being used by a chart and weighs on API
 //setInterval(staggeredCompareWarmup, 60 * 60 * 1000);
 
-async function preloadChart(coinId) {
-  console.log(`🔄 Preloading chart for ${coinId}...`);
+// === Incremental chart refresh ===
+// Between the daily full 365-day downloads (which reconcile upstream
+// corrections), a cached chart's latest point comes from the /coins/markets
+// list the refresh job has just fetched, so those runs cost no chart calls:
+// one call per coin per day instead of one per coin every 3 hours (8x fewer).
+// Coins outside that list, or charts with a gap of more than a day, fetch
+// only the days since their last point.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FULL_RECONCILE_INTERVAL = DAY_MS;
+const CHART_WINDOW_DAYS = 365;
+
+function chartRefreshPlan(cached, marketCoin, now = Date.now()) {
+  const prices = cached?.data?.prices;
+
+  if (!prices?.length || !cached.fullRefreshAt || now - cached.fullRefreshAt >= FULL_RECONCILE_INTERVAL) {
+    return { mode: "full" };
+  }
+
+  const lastTs = prices[prices.length - 1][0];
+  if (marketCoin?.current_price != null && now - lastTs <= DAY_MS) {
+    return { mode: "market" };
+  }
+
+  return { mode: "incremental", days: Math.max(2, Math.ceil((now - lastTs) / DAY_MS) + 1) };
+}
+
+// A market snapshot replaces today's intraday point; 00:00 UTC daily points stay
+function mergeSnapshot(series = [], point, cutoff) {
+  const dayStart = Math.floor(point[0] / DAY_MS) * DAY_MS;
+  return [...series.filter(([ts]) => ts <= dayStart && ts >= cutoff), point];
+}
+
+function applyMarketSnapshot(coinId, vs, marketCoin, now = Date.now()) {
+  const key = preloadKey(coinId, vs);
+  const cached = compareCache[key];
+  const ts = Math.min(now, Date.parse(marketCoin.last_updated) || now);
+  const cutoff = now - (CHART_WINDOW_DAYS + 1) * DAY_MS;
+
+  compareCache[key] = {
+    ...cached,
+    timestamp: now,
+    data: {
+      ...cached.data,
+      prices: mergeSnapshot(cached.data.prices, [ts, marketCoin.current_price], cutoff),
+      market_caps: mergeSnapshot(cached.data.market_caps, [ts, marketCoin.market_cap ?? null], cutoff),
+      total_volumes: mergeSnapshot(cached.data.total_volumes, [ts, marketCoin.total_volume ?? null], cutoff)
+    }
+  };
+}
+
+// The freshly fetched tail replaces everything from its first timestamp on —
+// CoinGecko's last daily point is "now", so it moves on every fetch
+function mergeSeries(existing = [], fresh = [], cutoff) {
+  if (fresh.length === 0) return existing;
+
+  const freshStart = fresh[0][0];
+  return [
+    ...existing.filter(([ts]) => ts < freshStart && ts >= cutoff),
+    ...fresh
+  ];
+}
+
+function mergeCharts(existing, fresh, now = Date.now()) {
+  const cutoff = now - (CHART_WINDOW_DAYS + 1) * DAY_MS;
+
+  return {
+    ...existing,
+    prices: mergeSeries(existing.prices, fresh.prices, cutoff),
+    market_caps: mergeSeries(existing.market_caps, fresh.market_caps, cutoff),
+    total_volumes: mergeSeries(existing.total_volumes, fresh.total_volumes, cutoff)
+  };
+}
+
+async function preloadChart(coinId, vs = DEFAULT_VS, plan = { mode: "full" }) {
+  const key = preloadKey(coinId, vs);
+  const incremental = plan.mode === "incremental" && compareCache[key]?.data;
+
+  console.log(`🔄 Preloading chart for ${coinId} (${vs}, ${incremental ? `last ${plan.days}d` : "full"})...`);
   const url = `https://api.coingecko.com/api/v3/coins/${coinId}/market_chart`;
-  const params = { vs_currency: "usd", days: 365, interval: "daily" };
+  const params = {
+    vs_currency: vs,
+    days: incremental ? plan.days : CHART_WINDOW_DAYS,
+    interval: "daily"
+  };
 
   try {
     const data = await fetchWithRetry(url, params);
-    // Normalize + filter CoinGecko price points for Looker
-    const cleanPrices = (data.prices || [])
-      .filter(p => Array.isArray(p) && p.length === 2)     // ensure [timestamp, price]
-      .map(([ts, price]) => {
-        const d = new Date(ts);
-        if (isNaN(d.getTime())) return null;               // skip invalid timestamps
-        return [ ts, price ]; // keep raw UNIX ms timestamp
-      })
-      .filter(Boolean);                                     // drop null rows
-    
-    compareCache[`preload_${coinId}`] = {
-      timestamp: Date.now(),
-      data: { name: coinId, prices: cleanPrices }
-    };
-    console.log(`✅ Preloaded chart for ${coinId} (${data.prices.length} points)`);
+    const now = Date.now();
+    const fresh = chartFromMarketData(coinId, data);
+
+    compareCache[key] = incremental
+      ? {
+          ...compareCache[key],
+          timestamp: now,
+          data: mergeCharts(compareCache[key].data, fresh, now)
+        }
+      : { timestamp: now, fullRefreshAt: now, data: fresh };
+
+    console.log(
+      `✅ Preloaded chart for ${coinId} (${data.prices.length}${incremental ? " new" : ""} points, ${compareCache[key].data.prices.length} total)`
+    );
+    await archiveChart(coinId, vs, fresh);
     return data;
   } catch (err) {
     const status = err.response?.status;
@@ -717,27 +2032,20 @@ async function preloadChart(coinId) {
       console.warn(`[${coinId}] message:`, err.message);
     }
 
-    // === 404 fallback: use "days=max" ===
-    if (status === 404) {
+    // === 404 fallback: use "days=max" (full refreshes only) ===
+    if (status === 404 && !incremental) {
       console.warn(`⚠️ 404 for ${coinId} — retrying with days=max`);
       const fallbackParams = { ...params, days: "max" };
       try {
         const data = await axios.get(url, { params: fallbackParams }).then(r => r.data);
-        // Normalize + filter CoinGecko price points for Looker
-        const cleanPrices = (data.prices || [])
-          .filter(p => Array.isArray(p) && p.length === 2)     // ensure [timestamp, price]
-          .map(([ts, price]) => {
-            const d = new Date(ts);
-            if (isNaN(d.getTime())) return null;               // skip invalid timestamps
-            return [ ts, price ]; // keep raw UNIX ms timestamp
-          })
-          .filter(Boolean);                                     // drop null rows
-        
-        compareCache[`preload_${coinId}`] = {
+
+        compareCache[key] = {
           timestamp: Date.now(),
-          data: { name: coinId, prices: cleanPrices }
+          fullRefreshAt: Date.now(),
+          data: chartFromMarketData(coinId, data)
         };
         console.log(`🟡 Fallback succeeded for ${coinId} (${data.prices.length} points)`);
+        await archiveChart(coinId, vs, compareCache[key].data);
         return data;
       } catch (e) {
         console.warn(`❌ Fallback also failed for ${coinId}: ${e.message}`);
@@ -748,32 +2056,67 @@ async function preloadChart(coinId) {
 
 async function preloadAllCharts() {
   console.log("🔥 Starting chart preloads...");
-  for (const coin of PRELOAD_COINS) {
-    await preloadChart(coin);
-    await new Promise(r => setTimeout(r, 2500)); // rate-limit safe
+  const coins = getPreloadCoins();
+  const started = Date.now();
+  const counts = { full: 0, incremental: 0, market: 0 };
+
+  for (const vs of PRELOAD_VS_CURRENCIES) {
+    // Only a list the refresh job just fetched counts as today's price
+    const marketFresh = Date.now() - (marketCache[vs]?.lastFetch || 0) < CACHE_DURATION;
+    const market = new Map(marketFresh ? (marketData(vs) || []).map(c => [c.id, c]) : []);
+
+    for (const coin of coins) {
+      const plan = chartRefreshPlan(compareCache[preloadKey(coin, vs)], market.get(coin));
+      counts[plan.mode]++;
+
+      if (plan.mode === "market") {
+        applyMarketSnapshot(coin, vs, market.get(coin));
+        continue;
+      }
+
+      await preloadChart(coin, vs, plan);
+      await new Promise(r => setTimeout(r, 2500)); // rate-limit safe
+    }
   }
-  console.log("Crypto: 🟢 Chart preloads completed");
+  console.log(
+    `Crypto: 🟢 Chart preloads completed in ${((Date.now() - started) / 1000).toFixed(0)}s ` +
+    `(${counts.full} full, ${counts.incremental} incremental, ${counts.market} from market data)`
+  );
 
   try {
     await savePreloadedCharts();
   } catch (err) {
     console.warn("Crypto: ⚠️ Failed saving chart cache:", err.message);
   }
+
+  try {
+    await savePreloadUniverse();
+  } catch (err) {
+    console.warn("Crypto: ⚠️ Failed saving preload coin set:", err.message);
+  }
+
+  await historyArchive.saveDirty();
 }
 
+const CHART_CACHE_FILE = "cryptoPreloadedCharts.json";
+
 async function savePreloadedCharts() {
   const data = {};
 
-  for (const coin of PRELOAD_COINS) {
-    const cached = compareCache[`preload_${coin}`];
+  // Saved under the preload key without its prefix: "<coin>" or "<coin>_<vs>"
+  for (const vs of PRELOAD_VS_CURRENCIES) {
+    for (const coin of getPreloadCoins()) {
+      const key = preloadKey(coin, vs);
+      const cached = compareCache[key];
 
-    if (cached) {
-      data[coin] = cached;
+      if (cached) {
+        data[key.slice("preload_".length)] = cached;
+      }
     }
   }
 
   await saveCache(
-    "cryptoPreloadedCharts.json",
+    CHART_CACHE_FILE,
     data,
     "Update crypto chart cache"
   );
@@ -781,33 +2124,59 @@ async function savePreloadedCharts() {
   console.log(`Crypto: 💾 Saved ${Object.keys(data).length} preloaded charts`);
 }
 
+// Another instance saved charts first — keep whichever copy of each coin is newer
+setMergeHook(CHART_CACHE_FILE, (remote, local) => {
+  const merged = { ...remote };
+
+  for (const [coin, cached] of Object.entries(local)) {
+    if (!merged[coin] || (cached?.timestamp || 0) >= (merged[coin]?.timestamp || 0)) {
+      merged[coin] = cached;
+    }
+  }
+
+  return merged;
+});
+
+// `replace` drops preloaded charts the saved copy doesn't have (rollback)
+function restorePreloadedCharts(data, { replace = false } = {}) {
+  let count = 0;
+
+  if (replace) {
+    for (const key of Object.keys(compareCache)) {
+      if (key.startsWith("preload_")) delete compareCache[key];
+    }
+  }
+
+  for (const [coin, cached] of Object.entries(data)) {
+    if (
+      cached &&
+      cached.data &&
+      Array.isArray(cached.data.prices) &&
+      cached.data.prices.length > 0
+  ) {
+      compareCache[`preload_${coin}`] = cached;
+      console.log(`📂 Loaded ${coin}: ${cached.data.prices.length} points`);
+      count++;
+    } else {
+        console.warn(`⚠️ Invalid cache for ${coin}`);
+    }
+  }
+
+  return count;
+}
+
 async function loadPreloadedCharts() {
   try {
-    const data = await loadCache("cryptoPreloadedCharts.json");
+    const data = await loadCache(CHART_CACHE_FILE);
 
     if (!data) {
       console.log("Crypto: 📂 No saved chart cache found");
       return false;
     }
 
-    let count = 0;
+    const count = restorePreloadedCharts(data);
 
-    for (const [coin, cached] of Object.entries(data)) {
-      if (
-        cached &&
-        cached.data &&
-        Array.isArray(cached.data.prices) &&
-        cached.data.prices.length > 0
-    ) {
-        compareCache[`preload_${coin}`] = cached;
-        console.log(`📂 Loaded ${coin}: ${cached.data.prices.length} points`);
-        count++;
-      } else {
-          console.warn(`⚠️ Invalid cache for ${coin}`);
-      }
-    }
-
-    console.log(`Crypto: 📂 Loaded ${count} preloaded charts from GitHub`);
+    console.log(`Crypto: 📂 Loaded ${count} preloaded charts from cache store`);
 
     return true;
   } catch (err) {
@@ -816,6 +2185,94 @@ async function loadPreloadedCharts() {
   }
 }
 
+// === Admin: saved chart snapshots + rollback ===
+router.get("/admin/snapshots", requireAdmin, async (req, res) => {
+  try {
+    res.json({ file: CHART_CACHE_FILE, versions: await listSnapshots(CHART_CACHE_FILE) });
+  } catch (err) {
+    console.error("❌ Snapshot list error:", err.message);
+    res.status(500).json({ error: "Failed to list snapshots" });
+  }
+});
+
+router.post("/admin/rollback", requireAdmin, async (req, res) => {
+  const version = Number(req.query.version);
+  if (!Number.isInteger(version)) {
+    return res.status(400).json({ error: "Missing or invalid ?version= parameter" });
+  }
+
+  try {
+    const data = await restoreSnapshot(CHART_CACHE_FILE, version);
+    if (!data) {
+      return res.status(404).json({ error: `No snapshot version ${version}` });
+    }
+
+    const restored = restorePreloadedCharts(data, { replace: true });
+    console.log(`Crypto: ⏪ Rolled chart cache back to version ${version} (${restored} coins)`);
+
+    res.json({ status: "ok", file: CHART_CACHE_FILE, version, coins: restored });
+  } catch (err) {
+    console.error("❌ Rollback error:", err.message);
+    res.status(500).json({ error: "Failed to roll back chart cache" });
+  }
+});
+
+// === Admin: preload coin set ===
+router.get("/admin/preload", requireAdmin, (req, res) => {
+  res.json({
+    topN: PRELOAD_TOP_N,
+    promoteAfter: PRELOAD_PROMOTE_AFTER,
+    coins: describePreloadCoins(),
+    removed: preloadUniverse.removed
+  });
+});
+
+router.post("/admin/preload", requireAdmin, async (req, res) => {
+  const coinId = String(req.query.coin || req.body?.coin || "").toLowerCase().trim();
+  if (!coinId) {
+    return res.status(400).json({ error: "Missing ?coin= parameter" });
+  }
+
+  preloadUniverse.removed = preloadUniverse.removed.filter(c => c !== coinId);
+  if (!preloadUniverse.added.includes(coinId)) preloadUniverse.added.push(coinId);
+
+  try {
+    await savePreloadUniverse();
+  } catch (err) {
+    console.error("❌ Failed saving preload coin set:", err.message);
+    return res.status(500).json({ error: "Coin added in memory but could not be saved" });
+  }
+
+  // Warm it now instead of waiting for the next 3-hour refresh
+  (async () => {
+    for (const vs of PRELOAD_VS_CURRENCIES) await preloadChart(coinId, vs);
+    await savePreloadedCharts();
+  })().catch(err => console.warn(`Crypto: ⚠️ Preload after adding ${coinId} failed:`, err.message));
+
+  res.json({ status: "ok", added: coinId, coins: getPreloadCoins() });
+});
+
+router.delete("/admin/preload/:coin", requireAdmin, async (req, res) => {
+  const coinId = req.params.coin.toLowerCase().trim();
+
+  preloadUniverse.added = preloadUniverse.added.filter(c => c !== coinId);
+  preloadUniverse.promoted = preloadUniverse.promoted.filter(c => c !== coinId);
+  delete preloadUniverse.requestCounts[coinId];
+
+  // Configured and top-N coins can only be excluded, not un-listed
+  if (getPreloadCoins().includes(coinId) && !preloadUniverse.removed.includes(coinId)) {
+    preloadUniverse.removed.push(coinId);
+  }
+
+  try {
+    await savePreloadUniverse();
+    res.json({ status: "ok", removed: coinId, coins: getPreloadCoins() });
+  } catch (err) {
+    console.error("❌ Failed saving preload coin set:", err.message);
+    res.status(500).json({ error: "Coin removed in memory but could not be saved" });
+  }
+});
+
 // === Keep-alive self-ping ===
 // not currently used as it was replaced with more robust action from GitHub
 async function startKeepAlive() {
@@ -835,7 +2292,12 @@ async function startKeepAlive() {
 export function mountCrypto(app) {
   console.log(`🌐 Public URL: ${process.env.RENDER_EXTERNAL_URL || "https://coingecko-wrapper.onrender.com"}`);
   console.log("⏳ Waiting 5s before first warm-up...");
+  loadPortfolios();
+  priceAlerts.load();
+  coinResolver.load();
+
   setTimeout(async () => {
+    await loadPreloadUniverse();
     const loaded = await loadPreloadedCharts();
     
     const success = await warmUp();
@@ -861,11 +2323,18 @@ export function mountCrypto(app) {
   app.use("/crypto", router);
 };
 
+// === Refresh the coin list used for symbol/name resolution once a day ===
+setInterval(() => { coinResolver.refresh(); }, 24 * 60 * 60 * 1000);
+
 // === Auto-refresh preloaded charts + 250 coins every 3 hours ===
 setInterval(async () => {
   console.log("⏳ Scheduled 3-hour chart preload starting...");
   
-  await fetchCoinData();
+  for (const vs of PRELOAD_VS_CURRENCIES) {
+    await fetchCoinData(false, 1, vs).catch(err =>
+      console.warn(`⚠️ Scheduled ${vs} price refresh failed: ${err.message}`)
+    );
+  }
   await preloadAllCharts();
 
   console.log(
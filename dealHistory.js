@@ -0,0 +1,142 @@
+import { loadCache, saveCache, setMergeHook } from "./cacheStore.js";
+
+// === Per-game deal price history ===
+// Every refresh is recorded per currency and CheapShark gameID. Consecutive
+// refreshes with the same price and store extend one point instead of adding
+// another, so a point is [firstSeen, lastSeen, salePrice, normalPrice, storeName, savings].
+const HISTORY_FILE = "gamingPriceHistory.json";
+const MAX_POINTS_PER_GAME = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function lastSeenOf(game) {
+  return game.points.length > 0 ? game.points[game.points.length - 1][1] : 0;
+}
+
+// Two instances recorded at once: per game, keep whichever saw it last
+setMergeHook(HISTORY_FILE, (remote, local) => {
+  const merged = { ...remote };
+
+  for (const [currency, games] of Object.entries(local)) {
+    merged[currency] = { ...(merged[currency] || {}) };
+
+    for (const [gameID, game] of Object.entries(games)) {
+      const other = merged[currency][gameID];
+      if (!other || lastSeenOf(game) >= lastSeenOf(other)) merged[currency][gameID] = game;
+    }
+  }
+
+  return merged;
+});
+
+function isSale(salePrice, normalPrice) {
+  return salePrice < normalPrice;
+}
+
+export function createDealHistory() {
+  // currency -> gameID -> { title, steamAppID, allTimeLow, lastSaleAt, points }
+  let history = {};
+  let loaded = false;
+
+  async function load() {
+    try {
+      const saved = await loadCache(HISTORY_FILE);
+      if (saved) {
+        history = saved;
+        const games = Object.values(history).reduce((n, games) => n + Object.keys(games).length, 0);
+        console.log(`📥 Loaded deal price history: ${games} games`);
+      }
+      loaded = true;
+    } catch (err) {
+      // Leave `loaded` false so a failed read is never saved over
+      console.error("Failed to load deal price history:", err.message);
+    }
+  }
+
+  /**
+   * Record one refresh worth of deals for `currency`
+   */
+  function record(currency, deals, timestamp = Date.now()) {
+    const games = history[currency] || (history[currency] = {});
+
+    for (const deal of deals) {
+      const gameID = String(deal.gameID);
+      const salePrice = parseFloat(deal.salePrice);
+      const normalPrice = parseFloat(deal.normalPrice);
+      if (!deal.gameID || isNaN(salePrice)) continue;
+
+      const game = games[gameID] || (games[gameID] = {
+        title: deal.title,
+        steamAppID: deal.steamAppID ? String(deal.steamAppID) : null,
+        allTimeLow: null,
+        lastSaleAt: null,
+        points: []
+      });
+
+      game.title = deal.title || game.title;
+      if (deal.steamAppID) game.steamAppID = String(deal.steamAppID);
+
+      const savings = Math.round(parseFloat(deal.savings) * 100) / 100;
+      const last = game.points[game.points.length - 1];
+
+      if (last && last[2] === salePrice && last[3] === normalPrice && last[4] === deal.storeName) {
+        last[1] = timestamp;
+      } else {
+        game.points.push([timestamp, timestamp, salePrice, normalPrice, deal.storeName || null, savings]);
+        if (game.points.length > MAX_POINTS_PER_GAME) game.points.shift();
+      }
+
+      if (game.allTimeLow === null || salePrice < game.allTimeLow) game.allTimeLow = salePrice;
+      if (isSale(salePrice, normalPrice)) game.lastSaleAt = timestamp;
+    }
+  }
+
+  async function save() {
+    if (!loaded) return;
+
+    try {
+      await saveCache(HISTORY_FILE, history, "Update deal price history");
+    } catch (err) {
+      console.error("❌ Failed to save deal price history:", err.message);
+    }
+  }
+
+  function find(currency, { gameID, steamAppID }) {
+    const games = Object.hasOwn(history, currency) ? history[currency] : {};
+    if (gameID) {
+      const id = String(gameID);
+      return Object.hasOwn(games, id) ? { gameID: id, ...games[id] } : null;
+    }
+
+    for (const [id, game] of Object.entries(games)) {
+      if (game.steamAppID === String(steamAppID)) return { gameID: id, ...game };
+    }
+    return null;
+  }
+
+  /**
+   * { allTimeLow, daysSinceLastSale } for a deal (nulls when never recorded)
+   */
+  function stats(currency, deal, now = Date.now()) {
+    const games = Object.hasOwn(history, currency) ? history[currency] : {};
+    const game = Object.hasOwn(games, String(deal.gameID)) ? games[String(deal.gameID)] : null;
+    if (!game) return { allTimeLow: null, daysSinceLastSale: null };
+
+    return {
+      allTimeLow: game.allTimeLow,
+      daysSinceLastSale: game.lastSaleAt === null ? null : Math.floor((now - game.lastSaleAt) / DAY_MS)
+    };
+  }
+
+  return {
+    load,
+    record,
+    save,
+    find,
+    stats,
+    file: HISTORY_FILE,
+    apply: data => {
+      history = data;
+      loaded = true;
+    }
+  };
+}
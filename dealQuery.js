@@ -0,0 +1,232 @@
+// === /gaming/deals query options ===
+// View:     games=steam (default, deals with a Steam app) or games=all
+// Filters:  genre, store, minPrice, maxPrice, minSavings, minRating, year, publisher, q
+// Sorting:  sort=<numeric field> (prefix "-" or order=desc for descending)
+// Paging:   limit + offset, or limit + cursor (the nextCursor of the previous page)
+// Shape:    fields=title,salePrice,steamMeta.genres
+const NUMERIC_FIELDS = [
+  "salePrice",
+  "normalPrice",
+  "savings",
+  "metacriticScore",
+  "steamRatingPercent",
+  "steamRatingCount",
+  "dealRating",
+  "releaseDate",
+  "lastChange",
+  "allTimeLow",
+  "daysSinceLastSale",
+  "steamMeta.rating",
+  "steamMeta.year"
+];
+const SORT_ALIASES = { price: "salePrice" };
+const MAX_LIMIT = 500;
+
+function getPath(obj, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+// Steam metadata when there is any, otherwise what CheapShark has on the deal
+function releaseYear(deal) {
+  if (deal.steamMeta?.year) return toNumber(deal.steamMeta.year);
+  const releaseDate = toNumber(deal.releaseDate);
+  return releaseDate ? new Date(releaseDate * 1000).getUTCFullYear() : null;
+}
+
+function metacritic(deal) {
+  return toNumber(deal.steamMeta?.rating) ?? (toNumber(deal.metacriticScore) || null);
+}
+
+// Sort keys that fall back to CheapShark's fields like the year/minRating filters
+const DERIVED_SORTS = { rating: metacritic, year: releaseYear };
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function list(value) {
+  return String(value).split(",").map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return key && typeof key === "object" && "id" in key ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate req.query -> options for applyDealQuery(), or { error }
+ */
+export function parseDealQuery(query) {
+  const options = { filters: [], sort: null, limit: null, offset: 0, cursor: null, fields: null };
+  const numberParam = name => {
+    if (query[name] === undefined) return undefined;
+    const n = toNumber(query[name]);
+    if (n === null) throw new Error(`Invalid ?${name}= (expected a number)`);
+    return n;
+  };
+
+  try {
+    const games = String(query.games || "steam").toLowerCase();
+    if (games !== "steam" && games !== "all") throw new Error("Invalid ?games= (expected steam or all)");
+    if (games === "steam") options.filters.push(d => !!d.steamAppID);
+
+    if (query.genre) {
+      const genres = list(query.genre);
+      options.filters.push(d => (d.steamMeta?.genres || []).some(g => genres.includes(g.toLowerCase())));
+    }
+
+    if (query.store) {
+      const stores = list(query.store);
+      options.filters.push(d =>
+        stores.includes(String(d.storeName || "").toLowerCase()) || stores.includes(String(d.storeID))
+      );
+    }
+
+    const minPrice = numberParam("minPrice");
+    const maxPrice = numberParam("maxPrice");
+    const minSavings = numberParam("minSavings");
+    const minRating = numberParam("minRating");
+
+    if (minPrice !== undefined) options.filters.push(d => toNumber(d.salePrice) >= minPrice);
+    if (maxPrice !== undefined) options.filters.push(d => toNumber(d.salePrice) !== null && toNumber(d.salePrice) <= maxPrice);
+    if (minSavings !== undefined) options.filters.push(d => toNumber(d.savings) >= minSavings);
+    if (minRating !== undefined) options.filters.push(d => metacritic(d) !== null && metacritic(d) >= minRating);
+
+    // year=2020 or year=2018-2020
+    if (query.year) {
+      const match = String(query.year).match(/^(\d{4})(?:-(\d{4}))?$/);
+      if (!match) throw new Error("Invalid ?year= (expected YYYY or YYYY-YYYY)");
+
+      const from = Number(match[1]);
+      const to = Number(match[2] || match[1]);
+      options.filters.push(d => {
+        const year = releaseYear(d);
+        return year !== null && year >= from && year <= to;
+      });
+    }
+
+    if (query.publisher) {
+      const publisher = String(query.publisher).toLowerCase();
+      options.filters.push(d => (d.steamMeta?.publishers || []).some(p => p.toLowerCase().includes(publisher)));
+    }
+
+    if (query.q) {
+      const q = String(query.q).toLowerCase();
+      options.filters.push(d => String(d.title || "").toLowerCase().includes(q));
+    }
+
+    if (query.sort) {
+      let field = String(query.sort);
+      let desc = String(query.order || "").toLowerCase() === "desc";
+      if (field.startsWith("-")) {
+        field = field.slice(1);
+        desc = true;
+      }
+      field = SORT_ALIASES[field] || field;
+
+      if (Object.hasOwn(DERIVED_SORTS, field)) {
+        options.sort = { field, desc, value: DERIVED_SORTS[field] };
+      } else if (NUMERIC_FIELDS.includes(field)) {
+        options.sort = { field, desc, value: d => toNumber(getPath(d, field)) };
+      } else {
+        const allowed = [...Object.keys(SORT_ALIASES), ...Object.keys(DERIVED_SORTS), ...NUMERIC_FIELDS];
+        throw new Error(`Invalid ?sort= (expected one of ${allowed.join(", ")})`);
+      }
+    }
+
+    if (query.limit !== undefined) {
+      const limit = numberParam("limit");
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new Error(`Invalid ?limit= (expected 1-${MAX_LIMIT})`);
+      }
+      options.limit = limit;
+    }
+
+    if (query.offset !== undefined) {
+      const offset = numberParam("offset");
+      if (!Number.isInteger(offset) || offset < 0) throw new Error("Invalid ?offset=");
+      options.offset = offset;
+    }
+
+    if (query.cursor) {
+      if (query.offset !== undefined) throw new Error("Use either ?cursor= or ?offset=, not both");
+      options.cursor = decodeCursor(query.cursor);
+      if (!options.cursor) throw new Error("Invalid ?cursor=");
+    }
+
+    if (query.fields) {
+      options.fields = String(query.fields).split(",").map(f => f.trim()).filter(Boolean);
+    }
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  return options;
+}
+
+function project(deal, fields) {
+  const out = {};
+
+  for (const path of fields) {
+    const value = getPath(deal, path);
+    if (value === undefined) continue;
+
+    const keys = path.split(".");
+    let target = out;
+    for (const key of keys.slice(0, -1)) target = target[key] = target[key] || {};
+    target[keys[keys.length - 1]] = value;
+  }
+
+  return out;
+}
+
+/**
+ * Filter, sort and page `deals`: { total, deals, nextCursor }.
+ * Cursors hold the last row's sort key (value + gameID), so paging stays
+ * consistent even if the deal list is refreshed between requests.
+ */
+export function applyDealQuery(deals, options) {
+  let rows = deals.filter(d => options.filters.every(f => f(d)));
+  const total = rows.length;
+
+  const sortValue = d => (options.sort ? options.sort.value(d) : null);
+  const compare = (a, b) => {
+    if (options.sort) {
+      // Missing values always go last
+      if (a.v === null || b.v === null) {
+        if (a.v !== b.v) return a.v === null ? 1 : -1;
+      } else if (a.v !== b.v) {
+        return options.sort.desc ? b.v - a.v : a.v - b.v;
+      }
+    }
+    return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+  };
+
+  let keyed = rows.map(d => ({ d, v: sortValue(d), id: String(d.gameID) }));
+  // Paged results always use the key order, so offsets and cursors agree
+  if (options.sort || options.cursor || options.limit) keyed.sort(compare);
+
+  if (options.cursor) {
+    keyed = keyed.filter(k => compare(k, options.cursor) > 0);
+  } else if (options.offset) {
+    keyed = keyed.slice(options.offset);
+  }
+
+  const limit = options.limit ?? keyed.length;
+  const page = keyed.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = keyed.length > limit && last ? encodeCursor({ v: last.v, id: last.id }) : null;
+
+  rows = page.map(k => (options.fields ? project(k.d, options.fields) : k.d));
+  return { total, deals: rows, nextCursor };
+}
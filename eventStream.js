@@ -0,0 +1,102 @@
+// === Server-Sent Events fan-out ===
+// Keeps the last `historyLimit` events so a reconnecting client sending
+// Last-Event-ID gets what it missed. Ids are "<boot>-<seq>"; an id from an
+// earlier process, or one that has fallen out of the buffer, gets a `reset`
+// event telling the client to refetch full state.
+const DEFAULT_HISTORY_LIMIT = 200;
+const DEFAULT_HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+export function createEventStream({
+  label,
+  historyLimit = DEFAULT_HISTORY_LIMIT,
+  heartbeatMs = DEFAULT_HEARTBEAT_MS
+}) {
+  const boot = Date.now().toString(36);
+  const history = []; // [{ seq, id, type, data }]
+  const clients = new Set();
+  let seq = 0;
+
+  function write(client, { id, type, data }) {
+    const payload = client.select(data, type);
+    if (payload === null || payload === undefined) return;
+
+    client.res.write(`${id ? `id: ${id}\n` : ""}event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  /**
+   * Send an event to every subscriber (each one sees it through its own select())
+   */
+  function publish(type, data) {
+    const event = { seq: ++seq, id: `${boot}-${seq}`, type, data };
+
+    history.push(event);
+    if (history.length > historyLimit) history.shift();
+
+    for (const client of clients) write(client, event);
+    return event.id;
+  }
+
+  // Events after lastEventId, or null when they can't be replayed
+  function missedSince(lastEventId) {
+    const [eventBoot, eventSeq] = String(lastEventId).split("-");
+    const after = Number(eventSeq);
+
+    if (eventBoot !== boot || !Number.isInteger(after) || after > seq) return null;
+    if (after < seq && (history.length === 0 || history[0].seq > after + 1)) return null;
+
+    return history.filter(e => e.seq > after);
+  }
+
+  /**
+   * Hold `res` open as an event stream.
+   *   select(data, type) -> what this client gets (null to skip the event)
+   *   initial()          -> [{ type, data }] sent to clients starting fresh
+   */
+  function subscribe(req, res, { select = data => data, initial } = {}) {
+    res.status(200).set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no" // keep proxies from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { res, select };
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+
+    const missed = lastEventId ? missedSince(lastEventId) : null;
+
+    if (missed) {
+      for (const event of missed) write(client, event);
+    } else {
+      if (lastEventId) {
+        write(client, { type: "reset", data: { reason: "Missed events are no longer available, refetch full state" } });
+      }
+      // Tagged with the latest id so a reconnect resumes right after this state
+      for (const event of initial?.() || []) write(client, { id: `${boot}-${seq}`, ...event });
+    }
+
+    clients.add(client);
+
+    const heartbeat = setInterval(() => {
+      res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+    }, heartbeatMs);
+
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+
+    console.log(`${label}: 📡 Stream client connected (${clients.size} open)`);
+  }
+
+  return {
+    publish,
+    subscribe,
+    get clientCount() {
+      return clients.size;
+    }
+  };
+}
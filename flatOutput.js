@@ -0,0 +1,157 @@
+// === Flat row output: JSON, CSV or NDJSON ===
+// Picked with ?format=json|csv|ndjson, otherwise from the Accept header.
+// Routes hand their rows to res.sendRows() as an array or a (async) generator;
+// rows are written out in batches instead of serialising one big array.
+const FORMATS = {
+  json: "application/json; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8"
+};
+
+const ACCEPT_TYPES = {
+  "application/json": "json",
+  "text/csv": "csv",
+  "application/x-ndjson": "ndjson",
+  "application/ndjson": "ndjson"
+};
+
+const WRITE_BATCH_BYTES = 64 * 1024;
+
+function negotiateFormat(req) {
+  if (req.query.format) {
+    const format = String(req.query.format).toLowerCase();
+    return FORMATS[format] ? format : null;
+  }
+
+  // Browsers and Looker send */* — that stays JSON
+  const accepted = req.accepts(Object.keys(ACCEPT_TYPES));
+  return accepted ? ACCEPT_TYPES[accepted] : "json";
+}
+
+// Nested objects become dotted columns, arrays a "; "-joined cell
+function flattenRow(row, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(row)) {
+    const column = prefix + key;
+
+    if (Array.isArray(value)) {
+      out[column] = value.join("; ");
+    } else if (value && typeof value === "object") {
+      flattenRow(value, `${column}.`, out);
+    } else {
+      out[column] = value;
+    }
+  }
+
+  return out;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Every column any row has, in first-seen order
+function unionColumns(rows) {
+  const columns = new Set();
+  for (const row of rows) {
+    for (const column of Object.keys(flattenRow(row))) columns.add(column);
+  }
+  return [...columns];
+}
+
+async function write(res, chunk) {
+  if (!res.write(chunk)) {
+    // Whichever fires first removes the other, so long streams don't pile up listeners
+    await new Promise(resolve => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        resolve();
+      };
+      res.once("drain", done);
+      res.once("close", done);
+    });
+  }
+}
+
+async function streamRows(res, format, rows, columns) {
+  let buffer = "";
+  let first = true;
+
+  const flush = async () => {
+    if (buffer) await write(res, buffer);
+    buffer = "";
+  };
+
+  res.status(200).type(FORMATS[format]);
+
+  if (format === "json") buffer += "[";
+
+  for await (const row of rows) {
+    if (res.destroyed) return;
+
+    if (format === "json") {
+      buffer += (first ? "" : ",") + JSON.stringify(row);
+    } else if (format === "ndjson") {
+      buffer += JSON.stringify(row) + "\n";
+    } else {
+      const flat = flattenRow(row);
+      if (first) {
+        // Without an explicit column list, a streamed CSV takes its header from the first row
+        columns = columns || Object.keys(flat);
+        buffer += columns.map(csvCell).join(",") + "\r\n";
+      }
+      buffer += columns.map(c => csvCell(flat[c])).join(",") + "\r\n";
+    }
+
+    first = false;
+    if (buffer.length >= WRITE_BATCH_BYTES) await flush();
+  }
+
+  if (format === "json") buffer += "]";
+  if (format === "csv" && first && columns) buffer += columns.map(csvCell).join(",") + "\r\n";
+
+  await flush();
+  res.end();
+}
+
+/**
+ * Route middleware adding res.flatFormat and res.sendRows(rows, { columns }).
+ * errorBody(message) shapes the 400 for an unknown ?format= to match the service.
+ */
+export function flatOutput({ errorBody = message => ({ error: message }) } = {}) {
+  return (req, res, next) => {
+    const format = negotiateFormat(req);
+
+    if (!format) {
+      return res.status(400).json(
+        errorBody(`Invalid ?format= (expected one of ${Object.keys(FORMATS).join(", ")})`)
+      );
+    }
+
+    res.flatFormat = format;
+    res.vary("Accept");
+
+    res.sendRows = async (rows, { columns } = {}) => {
+      if (format === "csv" && !columns && Array.isArray(rows)) {
+        columns = unionColumns(rows);
+      }
+
+      try {
+        await streamRows(res, format, rows, columns);
+      } catch (err) {
+        // Too late for an error response once rows have gone out
+        if (!res.headersSent) {
+          res.removeHeader("Content-Type");
+          throw err;
+        }
+        console.error(`❌ ${req.originalUrl} failed mid-stream:`, err.message);
+        res.destroy(err);
+      }
+    };
+
+    next();
+  };
+}
@@ -0,0 +1,236 @@
+import crypto from "crypto";
+import { loadCache, saveCache } from "./cacheStore.js";
+import { deliverWebhook, isWebhookUrl } from "./webhooks.js";
+
+// === Game price watchlist ===
+// Entries watch one game (Steam app id or CheapShark gameID) in one currency.
+// After every deals refresh the new list is compared with the previous one
+// and the entry's webhook hears about:
+//   below_target    sale price at or under targetPrice (again only if it drops further)
+//   historical_low  cheaper than anything this entry has seen before
+const WATCHLIST_FILE = "gamingWatchlist.json";
+const MAX_ENTRIES = 500;
+
+function dealLink(deal) {
+  return deal.dealID ? `https://www.cheapshark.com/redirect?dealID=${encodeURIComponent(deal.dealID)}` : null;
+}
+
+export function createGameWatchlist() {
+  const entries = new Map(); // id -> entry
+
+  async function save() {
+    await saveCache(WATCHLIST_FILE, { entries: [...entries.values()] }, `Update gaming watchlist (${entries.size} games)`);
+  }
+
+  async function load() {
+    try {
+      const data = await loadCache(WATCHLIST_FILE);
+      for (const entry of data?.entries || []) entries.set(entry.id, entry);
+      if (entries.size > 0) console.log(`Gaming: 📂 Loaded ${entries.size} watchlist entries`);
+    } catch (err) {
+      console.warn("Gaming: ❌ Failed loading watchlist:", err.message);
+    }
+  }
+
+  /**
+   * { steamAppID | gameID, targetPrice, webhook, currency?, title? } -> fields or { error }
+   */
+  function fromBody(body = {}) {
+    const steamAppID = body.steamAppID != null && body.steamAppID !== "" ? String(body.steamAppID) : null;
+    const gameID = body.gameID != null && body.gameID !== "" ? String(body.gameID) : null;
+
+    if (!steamAppID && !gameID) return { error: "Provide steamAppID or gameID" };
+    if (steamAppID && !/^\d+$/.test(steamAppID)) return { error: "steamAppID must be numeric" };
+    if (gameID && !/^\d+$/.test(gameID)) return { error: "gameID must be numeric" };
+
+    const targetPrice = Number(body.targetPrice);
+    if (!Number.isFinite(targetPrice) || targetPrice < 0) {
+      return { error: "targetPrice must be a non-negative number" };
+    }
+
+    if (!isWebhookUrl(body.webhook)) return { error: "webhook must be an http(s) URL" };
+
+    const currency = String(body.currency || "USD").toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) return { error: "Invalid currency" };
+
+    return {
+      steamAppID,
+      gameID,
+      targetPrice,
+      currency,
+      webhook: body.webhook,
+      title: body.title ? String(body.title) : null
+    };
+  }
+
+  async function add(body) {
+    if (entries.size >= MAX_ENTRIES) return { error: `At most ${MAX_ENTRIES} watchlist entries` };
+
+    const fields = fromBody(body);
+    if (fields.error) return fields;
+
+    const entry = {
+      id: crypto.randomUUID().slice(0, 8),
+      ...fields,
+      createdAt: new Date().toISOString(),
+      lowest: null,         // { price, storeName, at }
+      targetNotified: null, // { price, at } of the last below_target alert
+      lastNotified: null,   // { reasons, price, at }
+      lastDelivery: null
+    };
+    entries.set(entry.id, entry);
+    await save();
+    return { entry };
+  }
+
+  async function update(id, body) {
+    const existing = entries.get(id);
+    if (!existing) return { notFound: true };
+
+    const fields = fromBody({ ...existing, ...body });
+    if (fields.error) return fields;
+
+    // Watching a different game starts from scratch
+    const sameGame = fields.steamAppID === existing.steamAppID &&
+      fields.gameID === existing.gameID &&
+      fields.currency === existing.currency;
+
+    const entry = {
+      ...existing,
+      ...fields,
+      ...(sameGame ? {} : { lowest: null }),
+      targetNotified: null,
+      updatedAt: new Date().toISOString()
+    };
+    entries.set(id, entry);
+    await save();
+    return { entry };
+  }
+
+  async function remove(id) {
+    if (!entries.delete(id)) return false;
+    await save();
+    return true;
+  }
+
+  function findDeal(entry, deals) {
+    return deals.find(d =>
+      (entry.steamAppID && String(d.steamAppID) === entry.steamAppID) ||
+      (entry.gameID && String(d.gameID) === entry.gameID)
+    );
+  }
+
+  async function notify(entry, reasons, deal, previousPrice, previousLow) {
+    const result = await deliverWebhook(entry.webhook, "game_watch", {
+      type: "game_watch",
+      reasons,
+      watch: {
+        id: entry.id,
+        steamAppID: entry.steamAppID,
+        gameID: entry.gameID,
+        title: entry.title,
+        targetPrice: entry.targetPrice,
+        currency: entry.currency
+      },
+      deal: {
+        title: deal.title,
+        storeName: deal.storeName,
+        salePrice: parseFloat(deal.salePrice),
+        normalPrice: parseFloat(deal.normalPrice),
+        savings: parseFloat(deal.savings),
+        dealID: deal.dealID,
+        url: dealLink(deal)
+      },
+      previousPrice,
+      previousLow,
+      triggeredAt: new Date().toISOString()
+    });
+
+    entry.lastDelivery = {
+      at: new Date().toISOString(),
+      ok: result.ok,
+      status: result.status,
+      attempts: result.attempts,
+      error: result.error
+    };
+  }
+
+  /**
+   * Compare a fresh deal list for `currency` with the one it replaced
+   */
+  async function check(currency, previousDeals, deals) {
+    const deliveries = [];
+    let changed = false;
+
+    for (const entry of entries.values()) {
+      if (entry.currency !== currency) continue;
+
+      const deal = findDeal(entry, deals);
+      if (!deal) continue;
+
+      const price = parseFloat(deal.salePrice);
+      if (isNaN(price)) continue;
+
+      const previousDeal = previousDeals ? findDeal(entry, previousDeals) : null;
+      const previousPrice = previousDeal ? parseFloat(previousDeal.salePrice) : null;
+      // Before an entry has a low of its own, the previous snapshot's price is the baseline
+      const previousLow = entry.lowest?.price ?? previousPrice;
+      const reasons = [];
+
+      if (!entry.title && deal.title) {
+        entry.title = deal.title;
+        changed = true;
+      }
+
+      if (price <= entry.targetPrice) {
+        if (!entry.targetNotified || price < entry.targetNotified.price) {
+          reasons.push("below_target");
+          entry.targetNotified = { price, at: new Date().toISOString() };
+        }
+      } else if (entry.targetNotified) {
+        // Back above target: the next dip is news again
+        entry.targetNotified = null;
+        changed = true;
+      }
+
+      if (previousLow !== null && price < previousLow) reasons.push("historical_low");
+
+      if (previousLow === null || price < previousLow) {
+        entry.lowest = { price, storeName: deal.storeName || null, at: new Date().toISOString() };
+        changed = true;
+      } else if (!entry.lowest) {
+        entry.lowest = { price: previousLow, storeName: previousDeal.storeName || null, at: new Date().toISOString() };
+        changed = true;
+      }
+
+      if (reasons.length === 0) continue;
+
+      entry.lastNotified = { reasons, price, at: new Date().toISOString() };
+      changed = true;
+      console.log(`🔔 Watchlist ${entry.id} (${deal.title}): ${reasons.join(", ")} at ${price} ${currency}`);
+      deliveries.push(notify(entry, reasons, deal, previousPrice, previousLow));
+    }
+
+    if (!changed) return;
+
+    try {
+      await save();
+      if (deliveries.length > 0) {
+        await Promise.all(deliveries);
+        await save();
+      }
+    } catch (err) {
+      console.warn("Gaming: ⚠️ Failed saving watchlist state:", err.message);
+    }
+  }
+
+  return {
+    load,
+    add,
+    update,
+    remove,
+    check,
+    list: () => [...entries.values()],
+    get: id => entries.get(id) || null
+  };
+}
@@ -1,7 +1,28 @@
 import express from "express";
 import axios from "axios";
 import cors from "cors";
-import { loadCache, saveCache } from "./cacheStore.js";
+import {
+  loadCache,
+  saveCache,
+  setMergeHook,
+  listSnapshots,
+  restoreSnapshot
+} from "./cacheStore.js";
+import { requireAdmin } from "./adminAuth.js";
+import { flatOutput } from "./flatOutput.js";
+import {
+  currencySemantic,
+  dimension,
+  metric,
+  timestampDimension,
+  toLookerTimestamp
+} from "./lookerSchema.js";
+import { createEventStream } from "./eventStream.js";
+import { createGameWatchlist } from "./gameWatchlist.js";
+import { createDealHistory } from "./dealHistory.js";
+import { parseDealQuery, applyDealQuery } from "./dealQuery.js";
+import { createStoreCatalog } from "./storeCatalog.js";
+import { createSteamPrices } from "./steamPrices.js";
 
 export async function mountGaming(app) {
   const router = express.Router();
@@ -17,6 +38,7 @@ export async function mountGaming(app) {
       }
     }
   }));
+  router.use(express.json({ limit: "100kb" }));
   
   // In-memory cache per currency
   let cache = {};
@@ -26,130 +48,11 @@ export async function mountGaming(app) {
   let gamingRefreshTimer = null;
   const CURRENCIES = ["USD"]; // CheapShark deals are only available in USD
   
-  //const DEFAULT_STORES = ["steam", "humble store", "fanatical"].map(s => s.toLowerCase().trim());
-  
-  //const STORE_PRIORITY = {
-  //  "steam": 1,
-  //  "humble store": 2,
-  //  "fanatical": 3
-  //};
-  //let storeMap = {};
-  //let defaultStoreIDs = [];
-
-  // hard coding for now because the store ids are consistent and the call seems to be failing often
-  const STORE_PRIORITY = {
-    "steam": 1,
-    "humble store": 2,
-    "fanatical": 3
-  };
-  
-  const storeMap = {
-    "1": "steam",
-    "11": "humble store",
-    "15": "fanatical"
-  };
-  
-  const defaultStoreIDs = [
-    "1",
-    "11",
-    "15"
-  ];
-  
-  /**
-   * Load storeID -> storeName map
-   */
-  //async function loadStores() {
-  //  try {
-  //    const res = await axios.get("https://www.cheapshark.com/api/1.0/stores");
-  //    storeMap = Object.fromEntries(
-  //      res.data.map(s => [s.storeID, s.storeName.toLowerCase().trim()])
-  //    );
-  //    console.log("Store map loaded:", Object.keys(storeMap).length, "stores");
-  
-  //    defaultStoreIDs = Object.entries(storeMap)
-  //      .filter(([id, name]) => DEFAULT_STORES.includes(name))
-  //      .map(([id]) => id);
-      
-  //    console.log("Default store IDs:", defaultStoreIDs);
-  
-  //  } catch (err) {
-  //    console.error("Error loading stores:", err.message);
-  //  }
-  //}
+  // storeID -> name, active store set and tie-break priority
+  const stores = createStoreCatalog();
 
-  // hide for now because the call is failing often so the stores are hardcoded above
-  //async function loadStores() {
-  //  const MAX_ATTEMPTS = 50;
-  
-  //  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
-  //    try {
-  //      const res = await axios.get(
-  //        "https://www.cheapshark.com/api/1.0/stores",
-  //        {
-  //          timeout: 10000,
-  //          headers: {
-  //            "User-Agent": "Mozilla/5.0 (compatible; bruncher-api/1.0)",
-  //            "Accept": "application/json"
-  //          }
-  //        }
-  //      );
-  
-  //      storeMap = Object.fromEntries(
-  //        res.data.map(s => [
-  //          s.storeID,
-  //          s.storeName.toLowerCase().trim()
-  //        ])
-  //      );
-  
-  //      console.log(
-  //        "Store map loaded:",
-  //        Object.keys(storeMap).length,
-  //        "stores"
-  //      );
-  
-  //      defaultStoreIDs = Object.entries(storeMap)
-  //        .filter(([id, name]) => DEFAULT_STORES.includes(name))
-  //        .map(([id]) => id);
-  
-  //      console.log("Default store IDs:", defaultStoreIDs);
-  
-  //      if (defaultStoreIDs.length === 0) {
-  //        throw new Error("No matching default stores found");
-  //      }
-  
-  //      return true;
-  
-  //    } catch (err) {
-  //      const status = err.response?.status;
-
-  //      console.log("---- CheapShark stores failure ----");
-  //      console.log("Status:", status);
-  //      console.log("Headers:", err.response?.headers);
-  //      console.log("Body:", err.response?.data);
-  //      console.log("Message:", err.message);
-  
-  //      const retryAfter = err.response?.headers?.["retry-after"]
-  //        ? Number(err.response.headers["retry-after"])
-  //        : null;
-  
-  //      const delay = retryAfter
-  //        ? retryAfter * 1000
-  //        : Math.min(60000, 2000 * attempt);
-  
-  //      console.warn(
-  //        `CheapShark stores error (${status || "no-status"}) ` +
-  //        `attempt ${attempt}/${MAX_ATTEMPTS}, retrying in ${delay}ms`
-  //      );
-  
-  //      if (attempt === MAX_ATTEMPTS) {
-  //        console.error("Failed loading stores after max attempts");
-  //        return false;
-  //      }
-  
-  //      await new Promise(r => setTimeout(r, delay));
-  //    }
-  //  }
-  //}
+  // Other currencies: Steam's regional prices for the Steam games in the USD list
+  const steamPrices = createSteamPrices();
   
   /**
    * Fetch deals from CheapShark (multiple pages) and store in cache
@@ -170,12 +73,14 @@ export async function mountGaming(app) {
       const uniqueGames = {};
       //const pagesFetched = []; // not being used now
   
-      // Keep fetching until we have target number unique games or reach max pages
+      // Keep fetching until we have target number unique Steam games or reach max pages;
+      // non-Steam games found on the way are kept on top of that
       const TARGET_UNIQUE_DEALS = 2000;
       const MAX_DEAL_PAGES = 100;
+      const steamGameCount = () => Object.values(uniqueGames).filter(d => d.steamAppID).length;
       
       while (
-        Object.keys(uniqueGames).length < TARGET_UNIQUE_DEALS &&
+        steamGameCount() < TARGET_UNIQUE_DEALS &&
         page < MAX_DEAL_PAGES
       ) {
         let response = null;
@@ -279,17 +184,17 @@ export async function mountGaming(app) {
         let newDealsThisPage = 0;
       
         for (const deal of response.data) {
-          deal.storeName = storeMap[deal.storeID] || "unknown";
-      
-          // Skip deals without Steam App ID
-          if (!deal.steamAppID) continue;
+          deal.storeName = stores.storeName(deal.storeID);
+
+          // Games are keyed by CheapShark gameID; the Steam app is an optional link
+          deal.steamAppID = deal.steamAppID && deal.steamAppID !== "0" ? String(deal.steamAppID) : null;
+          deal.steamLink = deal.steamAppID ? `https://store.steampowered.com/app/${deal.steamAppID}` : null;
       
           const gameId = deal.gameID;
           const current = uniqueGames[gameId];
-          const dealStore = deal.storeName.toLowerCase();
           const dealPrice = parseFloat(deal.salePrice);
       
-          if (!STORE_PRIORITY[dealStore]) continue;
+          if (!stores.isActive(deal.storeID)) continue;
       
           if (!current) {
             uniqueGames[gameId] = deal;
@@ -297,7 +202,6 @@ export async function mountGaming(app) {
             continue;
           }
       
-          const currentStore = current.storeName.toLowerCase();
           const currentPrice = parseFloat(current.salePrice);
       
           if (dealPrice < currentPrice) {
@@ -306,8 +210,8 @@ export async function mountGaming(app) {
           }
       
           if (dealPrice === currentPrice) {
-            const dealPrio = STORE_PRIORITY[dealStore];
-            const currentPrio = STORE_PRIORITY[currentStore];
+            const dealPrio = stores.priority(deal.storeID);
+            const currentPrio = stores.priority(current.storeID);
             if (dealPrio < currentPrio) uniqueGames[gameId] = deal;
           }
         }
@@ -315,7 +219,7 @@ export async function mountGaming(app) {
         //pagesFetched.push({ page: page + 1, dealsFetched: newDealsThisPage });  // log after each page instead
 
         console.log(
-          `Page ${page + 1}: +${newDealsThisPage} unique (${Object.keys(uniqueGames).length}/${TARGET_UNIQUE_DEALS})`
+          `Page ${page + 1}: +${newDealsThisPage} unique (${steamGameCount()}/${TARGET_UNIQUE_DEALS} Steam, ${Object.keys(uniqueGames).length} total)`
         );
 
         await new Promise(r => setTimeout(r, 500));  // increased to 500 ms between calls to avoid sending too fast
@@ -326,38 +230,20 @@ export async function mountGaming(app) {
       // Convert collected unique games into an array
       const uniqueDeals = Object.values(uniqueGames);
   
-      // Reattach previously cached Steam metadata
+      // Reattach previously cached Steam metadata (non-Steam games keep CheapShark's fields only)
       for (const deal of uniqueDeals) {
         const id = String(deal.steamAppID);
-        if (steamMetaCache[id] !== undefined) {
+        if (!deal.steamAppID) {
+          deal.steamMeta = null;
+        } else if (steamMetaCache[id] !== undefined) {
           deal.steamMeta = steamMetaCache[id];
         } else {
           deal.steamMeta = null; // placeholder until enrichment fills it
         }
       }
   
-      const newBlock = {
-        timestamp: Date.now(),
-        data: uniqueDeals
-      };
-      
-      // Atomic swap — ensures no partial metadata window
-      cache[currency] = newBlock;
-
-      try {
-        await saveCache(
-          "gamingDealsCache.json",
-          cache,
-          `Updated gaming deals cache (${uniqueDeals.length} deals)`
-        );
-      
-        console.log(
-          `💾 Gaming deals saved: ${uniqueDeals.length} deals (${getObjectSizeKB(cache)} KB)`
-        );
-      
-      } catch (err) {
-        console.error("❌ Failed to save gaming deals:", err.message);
-      }
+      swapDeals(currency, uniqueDeals);
+      await persistDeals(`${uniqueDeals.length} ${currency} deals`);
   
       //console.log(`Pages fetched:`, pagesFetched); // doing log per page found instead
 
@@ -369,14 +255,125 @@ export async function mountGaming(app) {
       console.error(`Error fetching deals for ${currency}:`, err.message);
     }
   }
+
+  /**
+   * Swap in a new deal list for `currency` and notify; persistDeals() saves it
+   */
+  function swapDeals(currency, deals) {
+    const newBlock = {
+      timestamp: Date.now(),
+      data: deals
+    };
+    
+    // Atomic swap — ensures no partial metadata window
+    const previousBlock = cache[currency];
+    cache[currency] = newBlock;
+
+    publishDealChanges(currency, previousBlock?.data, deals);
+    watchlist.check(currency, previousBlock?.data, deals)
+      .catch(err => console.error("Watchlist check failed:", err.message));
+    dealHistory.record(currency, deals, newBlock.timestamp);
+  }
+
+  /**
+   * Save the deals cache (every currency) and the price history once per refresh
+   */
+  async function persistDeals(summary) {
+    try {
+      await saveCache(
+        "gamingDealsCache.json",
+        cache,
+        `Updated gaming deals cache (${summary})`
+      );
+    
+      console.log(
+        `💾 Gaming deals saved: ${summary} (${getObjectSizeKB(cache)} KB)`
+      );
+    
+    } catch (err) {
+      console.error("❌ Failed to save gaming deals:", err.message);
+    }
+
+    await dealHistory.save();
+  }
+
+  /**
+   * A region's deal list: each Steam game from the USD list at its Steam price
+   * there. CheapShark-only fields (dealID, dealRating, lastChange) don't apply.
+   */
+  function regionalDeals(region) {
+    const deals = [];
+
+    for (const deal of cache.USD?.data || []) {
+      if (!deal.steamAppID) continue;
+
+      const price = steamPrices.get(deal.steamAppID)[region.cc];
+      if (price?.final === undefined) continue;
+
+      deals.push({
+        ...deal,
+        dealID: null,
+        storeID: "1",
+        storeName: "steam",
+        salePrice: price.final.toFixed(2),
+        normalPrice: price.initial.toFixed(2),
+        savings: String(price.discountPercent),
+        isOnSale: price.discountPercent > 0 ? "1" : "0",
+        dealRating: null,
+        lastChange: null,
+        region: region.cc,
+        priceFetchedAt: price.fetchedAt
+      });
+    }
+
+    return deals;
+  }
+
+  /**
+   * Re-price the USD list's Steam games in every configured region.
+   * Regions refreshed within CACHE_TTL are skipped unless `force`.
+   */
+  async function refreshRegionalDeals({ force = false } = {}) {
+    const regions = steamPrices.regions().filter(r =>
+      force || !cache[r.currency] || Date.now() - cache[r.currency].timestamp > CACHE_TTL
+    );
+    const appIDs = (cache.USD?.data || []).filter(d => d.steamAppID).map(d => d.steamAppID);
+
+    if (regions.length === 0 || appIDs.length === 0) return;
+
+    console.log(`💱 Fetching Steam prices for ${regions.map(r => r.currency).join(", ")}...`);
+    const { failed } = await steamPrices.refresh(appIDs, regions, { prune: true });
+
+    const updated = [];
+    for (const region of regions) {
+      // Nothing new from Steam: keep serving the previous list
+      if (failed.includes(region.cc) && cache[region.currency]) continue;
+
+      const deals = regionalDeals(region);
+      swapDeals(region.currency, deals);
+      updated.push(`${deals.length} ${region.currency}`);
+    }
+
+    if (updated.length > 0) await persistDeals(`${updated.join(", ")} deals`);
+  }
+
+  // Only one regional refresh at a time (scheduled or triggered by /deals)
+  let regionalRefresh = null;
+
+  function refreshRegionalDealsOnce(options) {
+    if (!regionalRefresh) {
+      regionalRefresh = refreshRegionalDeals(options)
+        .catch(err => console.error("Regional Steam price refresh failed:", err.message))
+        .finally(() => { regionalRefresh = null; });
+    }
+    return regionalRefresh;
+  }
   
   /**
    * Pre-warm USD on startup
    */
   async function preWarm() {
-    
-    // hide for now because we are not calling it
-    //await loadStores();
+    await stores.load();
 
     const lastUpdate = cache.USD?.timestamp || 0;
     const age = Date.now() - lastUpdate;
@@ -391,7 +388,7 @@ export async function mountGaming(app) {
     }
      
     for (const currency of CURRENCIES) {
-      await fetchDeals(currency, defaultStoreIDs);
+      await fetchDeals(currency, stores.activeIDs());
     }
   }
   
@@ -403,7 +400,7 @@ export async function mountGaming(app) {
   //  setTimeout(async () => {
   
   //    for (const currency of CURRENCIES) {
-  //      await fetchDeals(currency, defaultStoreIDs);
+  //      await fetchDeals(currency, stores.activeIDs());
   //    }
   
   //    await enrichWithSteamData(cache["USD"]?.data || [])
@@ -430,13 +427,17 @@ export async function mountGaming(app) {
     gamingRefreshTimer = setTimeout(async () => {
   
       gamingRefreshTimer = null;
+
+      await stores.refreshIfStale();
   
       for (const currency of CURRENCIES) {
-        await fetchDeals(currency, defaultStoreIDs);
+        await fetchDeals(currency, stores.activeIDs());
       }
   
       await enrichWithSteamData(cache["USD"]?.data || [])
         .catch(err => console.error("Gaming Steam enrichment failed:", err));
+
+      await refreshRegionalDealsOnce({ force: true });
   
       console.log(
         `⏰ Next gaming refresh: ${new Date(Date.now() + gamingRefreshTTL).toLocaleString("en-CA", {
@@ -449,9 +450,66 @@ export async function mountGaming(app) {
     }, gamingRefreshTTL);
   }
   
+  // --- Live deal updates (SSE) after each fetchDeals swap ---
+  const dealStream = createEventStream({ label: "Gaming" });
+
+  function dealSummary(deal) {
+    return {
+      gameID: deal.gameID,
+      steamAppID: deal.steamAppID,
+      title: deal.title,
+      storeName: deal.storeName,
+      salePrice: deal.salePrice,
+      normalPrice: deal.normalPrice,
+      savings: deal.savings
+    };
+  }
+
+  function publishDealChanges(currency, previousDeals, deals) {
+    // First load after startup has nothing to compare against
+    if (!previousDeals) return;
+
+    const before = new Map(previousDeals.map(d => [String(d.gameID), d]));
+    const after = new Map(deals.map(d => [String(d.gameID), d]));
+
+    const added = deals.filter(d => !before.has(String(d.gameID))).map(dealSummary);
+    const removed = previousDeals.filter(d => !after.has(String(d.gameID))).map(dealSummary);
+    const priceDrops = deals
+      .filter(d => {
+        const old = before.get(String(d.gameID));
+        return old && parseFloat(d.salePrice) < parseFloat(old.salePrice);
+      })
+      .map(d => ({ ...dealSummary(d), previousPrice: before.get(String(d.gameID)).salePrice }));
+
+    if (added.length === 0 && removed.length === 0 && priceDrops.length === 0) return;
+
+    dealStream.publish("deals", { currency, timestamp: Date.now(), added, removed, priceDrops });
+    console.log(
+      `📡 Deal changes (${currency}): +${added.length} / -${removed.length} / ${priceDrops.length} price drops`
+    );
+  }
+
+  // Watched games, checked against each new deal list
+  const watchlist = createGameWatchlist();
+
+  // Price history per game, recorded on every refresh
+  const dealHistory = createDealHistory();
+
   // Global cache for Steam metadata
   const steamMetaCache = {};
 
+  // Another instance saved metadata first — merge by app id, never letting a
+  // failed (null) lookup here wipe out real metadata from the other side
+  setMergeHook("steamMetaCache.json", (remote, local) => {
+    const merged = { ...remote };
+
+    for (const [id, meta] of Object.entries(local)) {
+      if (meta !== null || merged[id] === undefined) merged[id] = meta;
+    }
+
+    return merged;
+  });
+
   function logSteamMetaSummary(prefix = "") {
     const games = Object.values(steamMetaCache);
   
@@ -486,26 +544,66 @@ export async function mountGaming(app) {
   
   /**
    * GET /deals
-   * Optional query: ?currency=USD
+   * Optional query: ?currency=USD (or a GAMING_REGIONS currency, Steam prices)
    */
-  router.get("/deals", async (req, res) => {
+  function availableCurrencies() {
+    return [...CURRENCIES, ...steamPrices.regions().map(r => r.currency)];
+  }
+
+  // ?format=csv|ndjson streams the deal rows; JSON keeps the envelope
+  const flat = flatOutput({ errorBody: error => ({ success: false, error }) });
+
+  // Filters, sort=, limit/offset/cursor and fields= are in dealQuery.js
+  router.get("/deals", flat, async (req, res) => {
+    const query = parseDealQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ success: false, error: query.error });
+    }
+
+    const currency = String(req.query.currency || "USD").toUpperCase();
+    const region = steamPrices.regionFor(currency);
+    if (!CURRENCIES.includes(currency) && !region) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported currency ${currency} (available: ${availableCurrencies().join(", ")})`
+      });
+    }
+
     try {
-      const currency = (req.query.currency || "USD").toUpperCase();
-  
       const entry = cache[currency];
       const isExpired = !entry || (Date.now() - entry.timestamp > CACHE_TTL);
       const wasCached = !!entry && !isExpired;
   
-      if (isExpired) {
-        fetchDeals(currency, defaultStoreIDs).catch(console.error);
+      if (isExpired && region) {
+        refreshRegionalDealsOnce();
+      } else if (isExpired) {
+        fetchDeals(currency, stores.activeIDs()).catch(console.error);
       }
   
+      const withHistory = (entry ? entry.data : []).map(deal => ({
+        ...deal,
+        ...dealHistory.stats(currency, deal)
+      }));
+      const { total, deals, nextCursor } = applyDealQuery(withHistory, query);
+
+      if (res.flatFormat !== "json") {
+        res.set({
+          "X-Cache": wasCached ? "HIT" : "MISS",
+          "X-Total-Count": String(total),
+          ...(nextCursor ? { "X-Next-Cursor": nextCursor } : {})
+        });
+        return await res.sendRows(deals);
+      }
+
       res.json({
         success: true,
         cached: wasCached,
         currency,
-        count: entry ? entry.data.length : 0,
-        deals: entry ? entry.data : []
+        source: region ? `steam (${region.cc})` : "cheapshark",
+        count: deals.length,
+        total,
+        nextCursor,
+        deals
       });
     } catch (err) {
       console.error(err);
@@ -513,6 +611,286 @@ export async function mountGaming(app) {
     }
   });
   
+  // --- Looker Studio schema for /deals rows (CheapShark deal + steamMeta) ---
+  // Nested steamMeta fields are the dotted CSV columns, exposed as steamMeta_<key>
+  function dealsSchema(money) {
+    const steam = (key, label, semanticType) =>
+      dimension(`steamMeta_${key}`, label, semanticType, { column: `steamMeta.${key}` });
+
+    return [
+      dimension("title", "Title"),
+      dimension("internalName", "Internal name"),
+      dimension("dealID", "Deal ID"),
+      dimension("gameID", "CheapShark game ID"),
+      dimension("steamAppID", "Steam app ID"),
+      dimension("steamLink", "Steam store page", "URL"),
+      dimension("storeID", "Store ID"),
+      dimension("storeName", "Store"),
+      metric("salePrice", "Sale price", money),
+      metric("normalPrice", "Normal price", money),
+      metric("savings", "Savings (%)"),
+      dimension("isOnSale", "On sale", "BOOLEAN"),
+      metric("metacriticScore", "Metacritic score"),
+      dimension("metacriticLink", "Metacritic link", "URL"),
+      dimension("steamRatingText", "Steam rating"),
+      metric("steamRatingPercent", "Steam rating (%)"),
+      metric("steamRatingCount", "Steam rating count"),
+      dimension("releaseDate", "Release date (unix seconds)", "NUMBER"),
+      dimension("lastChange", "Last price change (unix seconds)", "NUMBER"),
+      metric("dealRating", "Deal rating"),
+      dimension("thumb", "Thumbnail", "IMAGE"),
+      steam("name", "Steam name"),
+      steam("release_date", "Steam release date"),
+      steam("year", "Release year", "YEAR"),
+      steam("genres", "Genres"),
+      steam("publishers", "Publishers"),
+      dimension("steamMeta_rating", "Metacritic rating (Steam)", "NUMBER", { column: "steamMeta.rating" }),
+      metric("allTimeLow", "All-time low", money),
+      metric("daysSinceLastSale", "Days since last sale"),
+      dimension("region", "Steam price region (non-USD)")
+    ];
+  }
+
+  function historySchema(money) {
+    return [
+      dimension("title", "Title"),
+      dimension("gameID", "CheapShark game ID"),
+      dimension("steamAppID", "Steam app ID"),
+      timestampDimension("timestamp", "First seen"),
+      timestampDimension("last_seen", "Last seen"),
+      metric("salePrice", "Sale price", money),
+      metric("normalPrice", "Normal price", money),
+      dimension("storeName", "Store"),
+      metric("savings", "Savings (%)")
+    ];
+  }
+
+  const SCHEMAS = { deals: dealsSchema, history_flat: historySchema };
+
+  router.get("/schema/:endpoint", (req, res) => {
+    const build = Object.hasOwn(SCHEMAS, req.params.endpoint) ? SCHEMAS[req.params.endpoint] : null;
+    if (!build) {
+      return res.status(404).json({
+        success: false,
+        error: `No schema for ${req.params.endpoint} (available: ${Object.keys(SCHEMAS).join(", ")})`
+      });
+    }
+
+    const currency = String(req.query.currency || "USD").toUpperCase();
+    res.json({
+      success: true,
+      endpoint: `/gaming/${req.params.endpoint}`,
+      currency,
+      fields: build(currencySemantic(currency))
+    });
+  });
+
+  // --- Price history for one game: ?steamAppID= or ?gameID=, optional ?currency= ---
+  function findHistory(req, res) {
+    const { steamAppID, gameID } = req.query;
+    if (!steamAppID && !gameID) {
+      res.status(400).json({ success: false, error: "Missing ?steamAppID= or ?gameID=" });
+      return null;
+    }
+
+    const currency = String(req.query.currency || "USD").toUpperCase();
+    const game = dealHistory.find(currency, { steamAppID, gameID });
+    if (!game) {
+      res.status(404).json({ success: false, error: "No price history recorded for that game" });
+      return null;
+    }
+
+    return { currency, game };
+  }
+
+  router.get("/history", (req, res) => {
+    const found = findHistory(req, res);
+    if (!found) return;
+
+    const { currency, game } = found;
+    res.json({
+      success: true,
+      currency,
+      gameID: game.gameID,
+      steamAppID: game.steamAppID,
+      title: game.title,
+      ...dealHistory.stats(currency, game),
+      points: game.points.map(([firstSeen, lastSeen, salePrice, normalPrice, storeName, savings]) => ({
+        firstSeen: new Date(firstSeen).toISOString(),
+        lastSeen: new Date(lastSeen).toISOString(),
+        salePrice,
+        normalPrice,
+        storeName,
+        savings
+      }))
+    });
+  });
+
+  router.get("/history_flat", flat, async (req, res) => {
+    const found = findHistory(req, res);
+    if (!found) return;
+
+    const { game } = found;
+    await res.sendRows(game.points.map(([firstSeen, lastSeen, salePrice, normalPrice, storeName, savings]) => ({
+      title: game.title,
+      gameID: game.gameID,
+      steamAppID: game.steamAppID,
+      timestamp: toLookerTimestamp(firstSeen),
+      last_seen: toLookerTimestamp(lastSeen),
+      salePrice,
+      normalPrice,
+      storeName,
+      savings
+    })));
+  });
+
+  // SSE: new/removed deals and price drops, optional ?currency= (default USD)
+  router.get("/stream", (req, res) => {
+    const currency = String(req.query.currency || "USD").toUpperCase();
+
+    dealStream.subscribe(req, res, {
+      select: data => (data.currency && data.currency !== currency ? null : data)
+    });
+  });
+
+  // --- Regional Steam prices ---
+  router.get("/regions", (req, res) => {
+    res.json({
+      success: true,
+      currencies: availableCurrencies(),
+      regions: steamPrices.regions().map(r => ({
+        ...r,
+        deals: cache[r.currency]?.data.length || 0,
+        updated: cache[r.currency] ? new Date(cache[r.currency].timestamp).toISOString() : null
+      }))
+    });
+  });
+
+  // Missing prices are looked up at most this often per game; ?refresh=1 (admin) forces it
+  const COMPARE_FETCH_COOLDOWN = 15 * 60 * 1000;
+  const compareFetchedAt = new Map(); // steamAppID -> last on-demand lookup
+  const adminIfRefresh = (req, res, next) => (req.query.refresh === "1" ? requireAdmin(req, res, next) : next());
+
+  // One game from the USD deal list across regions: ?steamAppID= or ?gameID=.
+  // Prices are in each region's own currency; "us" is Steam's price, not CheapShark's best deal.
+  // On-demand lookups stay in memory; only the scheduled regional refresh saves prices.
+  router.get("/compare", adminIfRefresh, flat, async (req, res) => {
+    const { steamAppID, gameID } = req.query;
+    if (!steamAppID && !gameID) {
+      return res.status(400).json({ success: false, error: "Missing ?steamAppID= or ?gameID=" });
+    }
+
+    const deal = (cache.USD?.data || []).find(d =>
+      (gameID && String(d.gameID) === String(gameID)) || (steamAppID && d.steamAppID === String(steamAppID))
+    );
+
+    if (!deal) {
+      return res.status(404).json({
+        success: false,
+        error: `No current deal for ${gameID ? `gameID ${gameID}` : `steamAppID ${steamAppID}`}`
+      });
+    }
+    if (!deal.steamAppID) {
+      return res.status(404).json({ success: false, error: "That game isn't on Steam" });
+    }
+
+    try {
+      const appID = deal.steamAppID;
+      const regions = steamPrices.comparisonRegions();
+      const known = steamPrices.get(appID);
+      const now = Date.now();
+      const coolingDown = now - (compareFetchedAt.get(appID) || 0) < COMPARE_FETCH_COOLDOWN;
+
+      if (req.query.refresh === "1" || (regions.some(r => !known[r.cc]) && !coolingDown)) {
+        for (const [id, at] of compareFetchedAt) {
+          if (now - at >= COMPARE_FETCH_COOLDOWN) compareFetchedAt.delete(id);
+        }
+        compareFetchedAt.set(appID, now);
+        await steamPrices.refresh([appID], regions, { pauseMs: 250, maxAttempts: 1, save: false });
+      }
+
+      const prices = steamPrices.get(appID);
+      const rows = regions.map(({ cc, currency }) => {
+        const price = prices[cc];
+        return {
+          steamAppID: appID,
+          title: deal.title || deal.steamMeta?.name || null,
+          region: cc,
+          currency: price?.currency || currency,
+          available: price?.available ?? null,
+          salePrice: price?.final ?? null,
+          normalPrice: price?.initial ?? null,
+          discountPercent: price?.discountPercent ?? null,
+          finalFormatted: price?.finalFormatted || null,
+          fetchedAt: price?.fetchedAt ? new Date(price.fetchedAt).toISOString() : null
+        };
+      });
+
+      if (res.flatFormat !== "json") return await res.sendRows(rows);
+
+      res.json({
+        success: true,
+        steamAppID: appID,
+        gameID: deal.gameID,
+        title: rows[0].title,
+        // Best multi-store USD deal from CheapShark, for reference
+        cheapshark: { salePrice: deal.salePrice, normalPrice: deal.normalPrice, storeName: deal.storeName, dealID: deal.dealID },
+        regions: rows
+      });
+    } catch (err) {
+      console.error("Region compare failed:", err.message);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // --- Watchlist (admin): target prices per game, alerts via webhook ---
+  router.get("/watchlist", requireAdmin, (req, res) => {
+    res.json({ success: true, entries: watchlist.list() });
+  });
+
+  router.post("/watchlist", requireAdmin, async (req, res) => {
+    try {
+      const result = await watchlist.add(req.body);
+      if (result.error) return res.status(400).json({ success: false, error: result.error });
+      res.status(201).json({ success: true, entry: result.entry });
+    } catch (err) {
+      console.error("Failed saving watchlist:", err.message);
+      res.status(500).json({ success: false, error: "Watchlist entry could not be saved" });
+    }
+  });
+
+  router.get("/watchlist/:id", requireAdmin, (req, res) => {
+    const entry = watchlist.get(req.params.id);
+    if (!entry) return res.status(404).json({ success: false, error: `No watchlist entry "${req.params.id}"` });
+    res.json({ success: true, entry });
+  });
+
+  router.put("/watchlist/:id", requireAdmin, async (req, res) => {
+    try {
+      const result = await watchlist.update(req.params.id, req.body || {});
+      if (result.notFound) {
+        return res.status(404).json({ success: false, error: `No watchlist entry "${req.params.id}"` });
+      }
+      if (result.error) return res.status(400).json({ success: false, error: result.error });
+      res.json({ success: true, entry: result.entry });
+    } catch (err) {
+      console.error("Failed saving watchlist:", err.message);
+      res.status(500).json({ success: false, error: "Watchlist entry could not be saved" });
+    }
+  });
+
+  router.delete("/watchlist/:id", requireAdmin, async (req, res) => {
+    try {
+      if (!(await watchlist.remove(req.params.id))) {
+        return res.status(404).json({ success: false, error: `No watchlist entry "${req.params.id}"` });
+      }
+      res.json({ success: true, deleted: req.params.id });
+    } catch (err) {
+      console.error("Failed saving watchlist:", err.message);
+      res.status(500).json({ success: false, error: "Entry removed in memory but could not be saved" });
+    }
+  });
+
   router.get("/", (req, res) => {
     res.json({ status: "ok", message: "gaming-api live" });
   });
@@ -520,6 +898,7 @@ export async function mountGaming(app) {
   router.get("/debug/cache", (req, res) => {
     res.json({
       usd: cache.USD?.data.length || 0,
+      regions: Object.fromEntries(steamPrices.regions().map(r => [r.currency, cache[r.currency]?.data.length || 0])),
       steamMetaCount: Object.keys(steamMetaCache).length
     });
   });
@@ -528,6 +907,108 @@ export async function mountGaming(app) {
     res.json({ status: "alive", time: Date.now() });
   });
 
+  // --- Store catalog: public view, admin-configurable active set ---
+  router.get("/stores", (req, res) => {
+    res.json({ success: true, ...stores.describe() });
+  });
+
+  // Body: { stores: ["steam", "gog", "epic games store"] } — names or ids, in priority order
+  router.put("/admin/stores", requireAdmin, async (req, res) => {
+    try {
+      const result = await stores.setActive(req.body?.stores);
+      if (result.error) return res.status(400).json({ success: false, error: result.error });
+
+      console.log(`🏪 Active stores set to ${result.ids.join(", ")} (applies from the next refresh)`);
+      res.json({ success: true, ...stores.describe() });
+    } catch (err) {
+      console.error("Failed saving store config:", err.message);
+      res.status(500).json({ success: false, error: "Store set updated in memory but could not be saved" });
+    }
+  });
+
+  // Back to GAMING_STORES / the built-in default
+  router.delete("/admin/stores", requireAdmin, async (req, res) => {
+    try {
+      await stores.reset();
+      res.json({ success: true, ...stores.describe() });
+    } catch (err) {
+      console.error("Failed saving store config:", err.message);
+      res.status(500).json({ success: false, error: "Store set reset in memory but could not be saved" });
+    }
+  });
+
+  // --- Admin: saved snapshots + rollback ---
+  const SNAPSHOT_FILES = {
+    deals: {
+      file: "gamingDealsCache.json",
+      apply: data => { cache = data; }
+    },
+    history: {
+      file: dealHistory.file,
+      apply: dealHistory.apply
+    },
+    steamPrices: {
+      file: steamPrices.file,
+      apply: steamPrices.apply
+    },
+    steamMeta: {
+      file: "steamMetaCache.json",
+      apply: data => {
+        for (const id of Object.keys(steamMetaCache)) delete steamMetaCache[id];
+        Object.assign(steamMetaCache, data);
+      }
+    }
+  };
+
+  function snapshotTarget(req, res) {
+    const file = req.query.file || "deals";
+    const target = Object.hasOwn(SNAPSHOT_FILES, file) ? SNAPSHOT_FILES[file] : null;
+    if (!target) {
+      res.status(400).json({
+        success: false,
+        error: `Unknown ?file= (expected ${Object.keys(SNAPSHOT_FILES).join(", ")})`
+      });
+    }
+    return target;
+  }
+
+  router.get("/admin/snapshots", requireAdmin, async (req, res) => {
+    const target = snapshotTarget(req, res);
+    if (!target) return;
+
+    try {
+      res.json({ success: true, file: target.file, versions: await listSnapshots(target.file) });
+    } catch (err) {
+      console.error("Snapshot list failed:", err.message);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  router.post("/admin/rollback", requireAdmin, async (req, res) => {
+    const target = snapshotTarget(req, res);
+    if (!target) return;
+
+    const version = Number(req.query.version);
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({ success: false, error: "Missing or invalid ?version= parameter" });
+    }
+
+    try {
+      const data = await restoreSnapshot(target.file, version);
+      if (!data) {
+        return res.status(404).json({ success: false, error: `No snapshot version ${version}` });
+      }
+
+      target.apply(data);
+      console.log(`⏪ Rolled ${target.file} back to version ${version}`);
+
+      res.json({ success: true, file: target.file, version });
+    } catch (err) {
+      console.error("Rollback failed:", err.message);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
   // --- mount router ---
   app.use("/gaming", router);
   
@@ -602,9 +1083,9 @@ export async function mountGaming(app) {
             const cur = cache[currency];
             if (!cur || !cur.data) continue;
           
-            const match = cur.data.find(d => String(d.steamAppID) === id);
-            if (match) {
-              match.steamMeta = deal.steamMeta;
+            // Several CheapShark games can point at the same Steam app
+            for (const match of cur.data) {
+              if (String(match.steamAppID) === id) match.steamMeta = deal.steamMeta;
             }
           }
           done = true;
@@ -707,6 +1188,10 @@ export async function mountGaming(app) {
       console.error("Failed to load gaming deals:", err.message);
     }
   
+    await watchlist.load();
+    await dealHistory.load();
+    await steamPrices.load();
+
     console.log("Gaming: Loading stores and warming cache...");
   
     await preWarm(); // fetch CheapShark deals
@@ -718,6 +1203,8 @@ export async function mountGaming(app) {
     if (allDeals.length > 0) {
       await enrichWithSteamData(allDeals)
         .catch(err => console.error("Initial Steam enrichment failed:", err));
+
+      await refreshRegionalDealsOnce();
     }
 
     scheduleGamingRefresh();
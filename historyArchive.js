@@ -0,0 +1,178 @@
+import { loadCache, saveCache } from "./cacheStore.js";
+
+// === Daily history archive ===
+// One file per coin and quote currency under cryptoHistory/, holding every
+// daily point ever seen: [[dayStartMs, price, market_cap, volume], ...].
+// Charts fed in by the refresh jobs only ever add or correct days, so the
+// archive keeps growing past CoinGecko's 365-day window.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// CoinGecko daily points sit at 00:00 UTC; the trailing "now" point doesn't
+// and is left out until its day closes
+const DAILY_POINT_TOLERANCE = 60 * 60 * 1000;
+
+// Ids end up in file paths, so only CoinGecko-style slugs get an archive
+const COIN_ID_PATTERN = /^[a-z0-9-]+$/;
+const VS_PATTERN = /^[a-z]{3,5}$/;
+const LOAD_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * isPinned(coinId): archives kept in memory for good (the preload set);
+ * up to `cacheSize` other archives are kept, least recently used evicted first
+ */
+export function createHistoryArchive({ defaultVs = "usd", isPinned = () => false, cacheSize = 20 } = {}) {
+  const archives = new Map(); // file -> { points: Map(day -> row), dirty, loadFailed, failedAt }, oldest use first
+  const loading = new Map();
+
+  function archiveFile(coinId, vs) {
+    if (!COIN_ID_PATTERN.test(coinId) || !VS_PATTERN.test(vs)) return null;
+
+    return vs === defaultVs
+      ? `cryptoHistory/${coinId}.json`
+      : `cryptoHistory/${coinId}_${vs}.json`;
+  }
+
+  // Unsaved archives are never evicted; saveDirty() makes them evictable
+  function evict() {
+    const evictable = [...archives].filter(([, a]) => !a.dirty && !isPinned(a.coinId));
+
+    for (const [file] of evictable.slice(0, Math.max(0, evictable.length - cacheSize))) {
+      archives.delete(file);
+    }
+  }
+
+  async function getArchive(coinId, vs) {
+    const file = archiveFile(coinId, vs);
+    if (!file) return null;
+
+    const existing = archives.get(file);
+    // A failed read is tried again on a later refresh
+    if (existing && !(existing.loadFailed && Date.now() - existing.failedAt >= LOAD_RETRY_MS)) {
+      archives.delete(file);
+      archives.set(file, existing);
+      return existing;
+    }
+    if (loading.has(file)) return loading.get(file);
+
+    const promise = (async () => {
+      const archive = { coinId, vs, points: new Map(), dirty: false, loadFailed: false, failedAt: null };
+
+      try {
+        const saved = await loadCache(file);
+        for (const row of saved?.points || []) {
+          if (Array.isArray(row) && row.length >= 2) archive.points.set(row[0], row);
+        }
+      } catch (err) {
+        // Never save over an archive we couldn't read
+        console.warn(`Crypto: ❌ Failed loading history archive ${file}:`, err.message);
+        archive.loadFailed = true;
+        archive.failedAt = Date.now();
+      }
+
+      archives.delete(file);
+      archives.set(file, archive);
+      loading.delete(file);
+      evict();
+      return archive;
+    })();
+
+    loading.set(file, promise);
+    return promise;
+  }
+
+  function dailyRows(chart) {
+    const caps = new Map((chart.market_caps || []).map(([ts, v]) => [ts, v]));
+    const volumes = new Map((chart.total_volumes || []).map(([ts, v]) => [ts, v]));
+    const rows = [];
+
+    for (const [ts, price] of chart.prices || []) {
+      if (price == null || isNaN(price)) continue;
+
+      const day = Math.floor(ts / DAY_MS) * DAY_MS;
+      if (ts - day > DAILY_POINT_TOLERANCE) continue;
+
+      rows.push([day, price, caps.get(ts) ?? null, volumes.get(ts) ?? null]);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Merge a { prices, market_caps, total_volumes } chart into the archive
+   */
+  async function record(coinId, vs, chart) {
+    const archive = await getArchive(coinId, vs);
+    if (!archive || archive.loadFailed) return;
+
+    for (const row of dailyRows(chart)) {
+      const current = archive.points.get(row[0]);
+      if (!current || current.some((v, i) => v !== row[i])) {
+        archive.points.set(row[0], row);
+        archive.dirty = true;
+      }
+    }
+  }
+
+  /**
+   * Archived rows for fromMs <= day <= toMs, oldest first
+   */
+  async function range(coinId, vs, fromMs = -Infinity, toMs = Infinity) {
+    const archive = await getArchive(coinId, vs);
+    if (!archive) return [];
+
+    return [...archive.points.values()]
+      .filter(([day]) => day >= fromMs && day <= toMs)
+      .sort((a, b) => a[0] - b[0]);
+  }
+
+  async function saveDirty() {
+    let saved = 0;
+
+    for (const [file, archive] of archives) {
+      if (!archive.dirty || archive.loadFailed) continue;
+
+      const points = [...archive.points.values()].sort((a, b) => a[0] - b[0]);
+
+      try {
+        await saveCache(
+          file,
+          { coin: archive.coinId, vs: archive.vs, updatedAt: new Date().toISOString(), points },
+          `Update ${archive.coinId} (${archive.vs}) history archive (${points.length} days)`
+        );
+        archive.dirty = false;
+        saved++;
+      } catch (err) {
+        console.warn(`Crypto: ⚠️ Failed saving history archive ${file}:`, err.message);
+      }
+    }
+
+    if (saved > 0) console.log(`Crypto: 💾 Saved ${saved} history archives`);
+    evict();
+  }
+
+  return { record, range, saveDirty };
+}
+
+// ?from= / ?to= as YYYY-MM-DD or YYYYMMDD (UTC); `to` covers its whole day.
+// Returns null when neither is given, { error } when one doesn't parse.
+export function parseDateRange(query) {
+  if (!query.from && !query.to) return null;
+
+  const parse = value => {
+    const m = String(value).trim().match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+    if (!m) return NaN;
+    return Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  };
+
+  const from = query.from ? parse(query.from) : -Infinity;
+  const to = query.to ? parse(query.to) + DAY_MS - 1 : Infinity;
+
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: "Invalid ?from= / ?to= (expected YYYY-MM-DD)" };
+  }
+  if (from > to) {
+    return { error: "?from= must not be after ?to=" };
+  }
+
+  return { from, to };
+}
@@ -0,0 +1,162 @@
+// === Technical indicators over a plain array of prices ===
+// Every output series lines up with `values` index for index, holding null
+// until enough points exist for the indicator's window.
+
+export function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+
+  return out;
+}
+
+// Seeded with the SMA of the first `period` points
+export function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  const k = 2 / (period + 1);
+  let prev = null;
+
+  for (let i = 0; i < values.length; i++) {
+    if (i < period - 1) continue;
+
+    if (prev === null) {
+      let sum = 0;
+      for (let j = i - period + 1; j <= i; j++) sum += values[j];
+      prev = sum / period;
+    } else {
+      prev = values[i] * k + prev * (1 - k);
+    }
+
+    out[i] = prev;
+  }
+
+  return out;
+}
+
+// Wilder's RSI
+export function rsi(values, period) {
+  const out = new Array(values.length).fill(null);
+  let avgGain = 0;
+  let avgLoss = 0;
+
+  for (let i = 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+
+    if (i <= period) {
+      avgGain += gain / period;
+      avgLoss += loss / period;
+      if (i < period) continue;
+    } else {
+      avgGain = (avgGain * (period - 1) + gain) / period;
+      avgLoss = (avgLoss * (period - 1) + loss) / period;
+    }
+
+    out[i] = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+  }
+
+  return out;
+}
+
+export function macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+
+  const line = values.map((_, i) =>
+    fastEma[i] != null && slowEma[i] != null ? fastEma[i] - slowEma[i] : null
+  );
+
+  // Signal is an EMA over the defined part of the MACD line
+  const start = line.findIndex(v => v != null);
+  const signal = new Array(values.length).fill(null);
+
+  if (start !== -1) {
+    const tail = ema(line.slice(start), signalPeriod);
+    tail.forEach((v, i) => { signal[start + i] = v; });
+  }
+
+  const histogram = line.map((v, i) => (v != null && signal[i] != null ? v - signal[i] : null));
+
+  return { line, signal, histogram };
+}
+
+export function bollinger(values, period = 20, width = 2) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+
+  for (let i = period - 1; i < values.length; i++) {
+    let variance = 0;
+    for (let j = i - period + 1; j <= i; j++) variance += (values[j] - middle[i]) ** 2;
+
+    const sd = Math.sqrt(variance / period);
+    upper[i] = middle[i] + width * sd;
+    lower[i] = middle[i] - width * sd;
+  }
+
+  return { upper, middle, lower };
+}
+
+// === ?set= parsing ===
+// Tokens: sma<N>, ema<N>, rsi<N>, macd, bollinger / bollinger<N>
+const MAX_PERIOD = 365;
+
+export function parseIndicatorSet(set) {
+  const specs = [];
+  const invalid = [];
+
+  for (const token of String(set).split(",").map(t => t.trim().toLowerCase()).filter(Boolean)) {
+    const match = token.match(/^(sma|ema|rsi|bollinger)(\d+)?$/) || token.match(/^(macd)$/);
+    const period = match?.[2] ? Number(match[2]) : null;
+
+    if (!match || (period !== null && (period < 2 || period > MAX_PERIOD))) {
+      invalid.push(token);
+      continue;
+    }
+
+    const type = match[1];
+    if ((type === "sma" || type === "ema" || type === "rsi") && period === null) {
+      invalid.push(token);
+      continue;
+    }
+
+    specs.push({ token, type, period: period ?? (type === "bollinger" ? 20 : null) });
+  }
+
+  return { specs, invalid };
+}
+
+/**
+ * Compute the requested indicators; returns column name -> array of values
+ */
+export function computeIndicators(values, specs) {
+  const columns = {};
+
+  for (const { token, type, period } of specs) {
+    if (type === "sma") columns[token] = sma(values, period);
+    if (type === "ema") columns[token] = ema(values, period);
+    if (type === "rsi") columns[token] = rsi(values, period);
+
+    if (type === "macd") {
+      const { line, signal, histogram } = macd(values);
+      columns.macd = line;
+      columns.macd_signal = signal;
+      columns.macd_hist = histogram;
+    }
+
+    if (type === "bollinger") {
+      const { upper, middle, lower } = bollinger(values, period);
+      columns[`${token}_upper`] = upper;
+      columns[`${token}_middle`] = middle;
+      columns[`${token}_lower`] = lower;
+    }
+  }
+
+  return columns;
+}
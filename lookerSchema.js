@@ -0,0 +1,54 @@
+// === Looker Studio field schemas for the flat routes ===
+// Fields follow the community connector getSchema() shape:
+// { name, label, dataType, semantics: { conceptType, semanticType } }
+
+// Looker only has currency semantic types for these quote currencies;
+// anything else (btc, eth, ...) is published as a plain number
+const LOOKER_CURRENCIES = new Set([
+  "aud", "brl", "cad", "chf", "cny", "czk", "dkk", "eur", "gbp", "hkd", "huf", "idr",
+  "ils", "inr", "jpy", "krw", "mxn", "myr", "nok", "nzd", "php", "pln", "rub", "sek",
+  "sgd", "thb", "try", "twd", "usd", "vnd", "zar"
+]);
+
+export function currencySemantic(vs = "usd") {
+  const code = String(vs).toLowerCase();
+  return LOOKER_CURRENCIES.has(code) ? `CURRENCY_${code.toUpperCase()}` : "NUMBER";
+}
+
+// `column` is the key in the route's rows when it isn't a valid Looker field id
+// (nested deal fields come out as dotted CSV columns)
+function field(conceptType, name, label, semanticType, dataType, column) {
+  return {
+    name,
+    label,
+    dataType,
+    semantics: { conceptType, semanticType },
+    ...(column ? { column } : {})
+  };
+}
+
+export function dimension(name, label, semanticType = "TEXT", { dataType, column } = {}) {
+  const defaultType = semanticType === "NUMBER" ? "NUMBER" : semanticType === "BOOLEAN" ? "BOOLEAN" : "STRING";
+  return field("DIMENSION", name, label, semanticType, dataType || defaultType, column);
+}
+
+export function metric(name, label, semanticType = "NUMBER", { column } = {}) {
+  return field("METRIC", name, label, semanticType, "NUMBER", column);
+}
+
+// YYYYMMDDHHMMSS (UTC), what Looker reads as YEAR_MONTH_DAY_SECOND
+export function toLookerTimestamp(ts) {
+  const d = new Date(ts);
+  const yyyy = d.getUTCFullYear();
+  const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
+  const dd = String(d.getUTCDate()).padStart(2, "0");
+  const hh = String(d.getUTCHours()).padStart(2, "0");
+  const mi = String(d.getUTCMinutes()).padStart(2, "0");
+  const ss = String(d.getUTCSeconds()).padStart(2, "0");
+  return `${yyyy}${mm}${dd}${hh}${mi}${ss}`;
+}
+
+// toLookerTimestamp() strings
+export function timestampDimension(name = "timestamp", label = "Timestamp") {
+  return dimension(name, label, "YEAR_MONTH_DAY_SECOND");
+}
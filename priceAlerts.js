@@ -0,0 +1,265 @@
+import crypto from "crypto";
+import { loadCache, saveCache } from "./cacheStore.js";
+import { deliverWebhook, isWebhookUrl } from "./webhooks.js";
+
+// === Price alert rules ===
+// "bitcoin price_change_percentage_24h < -5", "ethereum crosses 4000",
+// "solana > 200" (field defaults to current_price). Checked against the
+// market list after every refresh; matches go to the rule's webhook.
+const ALERTS_FILE = "cryptoAlerts.json";
+const ALERT_FIELDS = ["current_price", "market_cap", "total_volume", "price_change_percentage_24h"];
+const FIELD_ALIASES = { price: "current_price", volume: "total_volume", change_24h: "price_change_percentage_24h" };
+const OPERATORS = ["<", "<=", ">", ">=", "crosses", "crosses_above", "crosses_below"];
+const DEFAULT_DEDUPE_MINUTES = 60;
+const MAX_RULES = 200;
+
+/**
+ * Parse "coin [field] op value" into { coin, field, op, value }, or { error }
+ */
+export function parseAlertExpression(text) {
+  const tokens = String(text || "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+  // "crosses above 4000" -> "crosses_above 4000"
+  for (let i = 0; i < tokens.length - 1; i++) {
+    if (tokens[i] === "crosses" && (tokens[i + 1] === "above" || tokens[i + 1] === "below")) {
+      tokens.splice(i, 2, `crosses_${tokens[i + 1]}`);
+    }
+  }
+
+  if (tokens.length !== 3 && tokens.length !== 4) {
+    return { error: 'Expected "<coin> [field] <op> <value>", e.g. "bitcoin price_change_percentage_24h < -5"' };
+  }
+
+  const [coin, ...rest] = tokens;
+  const [field, op, value] = rest.length === 3 ? rest : ["current_price", ...rest];
+
+  return validateRule({ coin, field, op, value });
+}
+
+function validateRule({ coin, field = "current_price", op, value }) {
+  const resolvedField = FIELD_ALIASES[field] || field;
+  const threshold = Number(value);
+
+  if (!coin || typeof coin !== "string") return { error: "Missing coin" };
+  if (!ALERT_FIELDS.includes(resolvedField)) {
+    return { error: `Unknown field "${field}" (expected one of ${ALERT_FIELDS.join(", ")})` };
+  }
+  if (!OPERATORS.includes(op)) {
+    return { error: `Unknown operator "${op}" (expected one of ${OPERATORS.join(", ")})` };
+  }
+  if (value === "" || value === null || !Number.isFinite(threshold)) {
+    return { error: `Invalid threshold "${value}"` };
+  }
+
+  return { coin: coin.toLowerCase(), field: resolvedField, op, value: threshold };
+}
+
+// Threshold ops look at the current value; crossing ops need the previous one
+function matches({ op, value }, current, previous) {
+  switch (op) {
+    case "<": return current < value;
+    case "<=": return current <= value;
+    case ">": return current > value;
+    case ">=": return current >= value;
+  }
+
+  if (previous == null) return false;
+
+  const above = previous < value && current >= value;
+  const below = previous > value && current <= value;
+  if (op === "crosses_above") return above;
+  if (op === "crosses_below") return below;
+  return above || below;
+}
+
+function describe(rule) {
+  return `${rule.coin} ${rule.field} ${rule.op.replace("_", " ")} ${rule.value}`;
+}
+
+/**
+ * resolveCoin(input) -> CoinGecko id or { error } (symbols, names)
+ */
+export function createPriceAlerts({ resolveCoin, defaultVs = "usd" }) {
+  const rules = new Map(); // id -> rule
+
+  async function save() {
+    await saveCache(ALERTS_FILE, { rules: [...rules.values()] }, `Update crypto alerts (${rules.size} rules)`);
+  }
+
+  async function load() {
+    try {
+      const data = await loadCache(ALERTS_FILE);
+      for (const rule of data?.rules || []) rules.set(rule.id, rule);
+      if (rules.size > 0) console.log(`Crypto: 📂 Loaded ${rules.size} alert rules`);
+    } catch (err) {
+      console.warn("Crypto: ❌ Failed loading alert rules:", err.message);
+    }
+  }
+
+  /**
+   * Build rule fields from a request body:
+   *   { rule: "bitcoin < 50000" } or { coin, field, op, value }
+   *   plus webhook, vs, dedupeMinutes, enabled
+   */
+  function fromBody(body = {}) {
+    const parsed = body.rule ? parseAlertExpression(body.rule) : validateRule(body);
+    if (parsed.error) return parsed;
+
+    const coin = resolveCoin(parsed.coin);
+    if (coin.error) return coin;
+
+    if (!isWebhookUrl(body.webhook)) {
+      return { error: "webhook must be an http(s) URL" };
+    }
+
+    const vs = String(body.vs || defaultVs).toLowerCase();
+    if (!/^[a-z]{3,5}$/.test(vs)) return { error: "Invalid vs currency" };
+
+    const dedupeMinutes = body.dedupeMinutes === undefined ? DEFAULT_DEDUPE_MINUTES : Number(body.dedupeMinutes);
+    if (!Number.isFinite(dedupeMinutes) || dedupeMinutes < 0) {
+      return { error: "dedupeMinutes must be a non-negative number" };
+    }
+
+    return {
+      ...parsed,
+      coin: coin.id,
+      vs,
+      webhook: body.webhook,
+      dedupeMinutes,
+      enabled: body.enabled !== false
+    };
+  }
+
+  async function create(body) {
+    if (rules.size >= MAX_RULES) return { error: `At most ${MAX_RULES} alert rules` };
+
+    const fields = fromBody(body);
+    if (fields.error) return fields;
+
+    const rule = {
+      id: crypto.randomUUID().slice(0, 8),
+      ...fields,
+      createdAt: new Date().toISOString(),
+      lastValue: null,
+      lastFiredAt: null,
+      lastDelivery: null
+    };
+    rules.set(rule.id, rule);
+    await save();
+    return { rule };
+  }
+
+  async function update(id, body) {
+    const existing = rules.get(id);
+    if (!existing) return { notFound: true };
+
+    const fields = fromBody({ ...existing, ...body });
+    if (fields.error) return fields;
+
+    // A changed condition starts over: no previous value, no dedupe window
+    const changed = ["coin", "field", "op", "value", "vs"].some(k => fields[k] !== existing[k]);
+    const rule = {
+      ...existing,
+      ...fields,
+      ...(changed ? { lastValue: null, lastFiredAt: null } : {}),
+      updatedAt: new Date().toISOString()
+    };
+    rules.set(id, rule);
+    await save();
+    return { rule };
+  }
+
+  async function remove(id) {
+    if (!rules.delete(id)) return false;
+    await save();
+    return true;
+  }
+
+  async function fire(rule, coin, current, previous, triggeredAt, event = "price_alert") {
+    const result = await deliverWebhook(rule.webhook, event, {
+      type: event,
+      alert: { id: rule.id, rule: describe(rule), coin: rule.coin, field: rule.field, op: rule.op, value: rule.value, vs: rule.vs },
+      observed: current,
+      previous,
+      coin,
+      triggeredAt: new Date(triggeredAt).toISOString()
+    });
+
+    rule.lastDelivery = {
+      at: new Date().toISOString(),
+      ok: result.ok,
+      status: result.status,
+      attempts: result.attempts,
+      error: result.error
+    };
+    return result;
+  }
+
+  /**
+   * Check every enabled rule for `vs` against a fresh market list
+   */
+  async function evaluate(vs, marketData) {
+    const byId = new Map(marketData.map(coin => [coin.id, coin]));
+    const now = Date.now();
+    const deliveries = [];
+    let checked = 0;
+
+    for (const rule of rules.values()) {
+      if (!rule.enabled || rule.vs !== vs) continue;
+      checked++;
+
+      const coin = byId.get(rule.coin);
+      const current = coin?.[rule.field];
+      if (current == null) continue;
+
+      const previous = rule.lastValue;
+      rule.lastValue = current;
+
+      if (!matches(rule, current, previous)) continue;
+
+      const lastFired = rule.lastFiredAt ? Date.parse(rule.lastFiredAt) : 0;
+      if (now - lastFired < rule.dedupeMinutes * 60 * 1000) {
+        console.log(`🔕 Alert ${rule.id} (${describe(rule)}) matched inside its dedupe window`);
+        continue;
+      }
+
+      rule.lastFiredAt = new Date(now).toISOString();
+      console.log(`🔔 Alert ${rule.id} fired: ${describe(rule)} (observed ${current})`);
+      deliveries.push(fire(rule, coin, current, previous, now));
+    }
+
+    if (checked === 0) return;
+
+    // Save the new lastValue/lastFiredAt first, delivery results once they settle
+    try {
+      await save();
+      if (deliveries.length > 0) {
+        await Promise.all(deliveries);
+        await save();
+      }
+    } catch (err) {
+      console.warn("Crypto: ⚠️ Failed saving alert state:", err.message);
+    }
+  }
+
+  // Send a sample delivery without touching the rule's dedupe state
+  async function test(id) {
+    const rule = rules.get(id);
+    if (!rule) return null;
+
+    const result = await fire(rule, { id: rule.coin }, rule.value, null, Date.now(), "price_alert.test");
+    await save();
+    return result;
+  }
+
+  return {
+    load,
+    create,
+    update,
+    remove,
+    evaluate,
+    test,
+    list: () => [...rules.values()],
+    get: id => rules.get(id) || null
+  };
+}
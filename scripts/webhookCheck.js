@@ -0,0 +1,86 @@
+import assert from "assert/strict";
+import http from "http";
+
+// === Local webhook receiver check ===
+// Starts an HTTP receiver on a free port and runs deliverWebhook() against it:
+// signature, retries on 5xx, no retries on 4xx, giving up after the last attempt.
+// Run with `npm run check:webhooks`.
+process.env.WEBHOOK_SECRET = "local-check-secret";
+process.env.WEBHOOK_MAX_ATTEMPTS = "3";
+process.env.WEBHOOK_RETRY_DELAY_MS = "20";
+
+// Imported after the env is set: webhooks.js reads it at load
+const { deliverWebhook, signPayload } = await import("../webhooks.js");
+
+const received = [];
+let respond = () => 200;
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    received.push({ path: req.url, headers: req.headers, body });
+    res.statusCode = respond(received.filter(r => r.path === req.url).length);
+    res.end();
+  });
+});
+
+await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (err) {
+    console.error(`❌ ${name}:`, err.message);
+    process.exitCode = 1;
+  }
+}
+
+await check("signed delivery", async () => {
+  respond = () => 200;
+  const result = await deliverWebhook(`${base}/signed`, "price_alert.test", { hello: "world" });
+  const [hit] = received.filter(r => r.path === "/signed");
+
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 1);
+  assert.equal(hit.headers["x-bruncher-event"], "price_alert.test");
+  assert.equal(hit.headers["x-bruncher-delivery"], result.deliveryId);
+  assert.equal(JSON.parse(hit.body).hello, "world");
+  assert.equal(
+    hit.headers["x-bruncher-signature"],
+    signPayload(hit.body, hit.headers["x-bruncher-timestamp"], process.env.WEBHOOK_SECRET)
+  );
+});
+
+await check("5xx is retried with the same delivery id", async () => {
+  respond = count => (count < 2 ? 503 : 200);
+  const result = await deliverWebhook(`${base}/flaky`, "game_watch", { n: 1 });
+  const hits = received.filter(r => r.path === "/flaky");
+
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 2);
+  assert.equal(hits.length, 2);
+  assert.equal(new Set(hits.map(h => h.headers["x-bruncher-delivery"])).size, 1);
+});
+
+await check("4xx is not retried", async () => {
+  respond = () => 400;
+  const result = await deliverWebhook(`${base}/rejected`, "game_watch", {});
+
+  assert.equal(result.ok, false);
+  assert.equal(result.status, 400);
+  assert.equal(received.filter(r => r.path === "/rejected").length, 1);
+});
+
+await check("gives up after WEBHOOK_MAX_ATTEMPTS attempts in total", async () => {
+  respond = () => 500;
+  const result = await deliverWebhook(`${base}/down`, "game_watch", {});
+
+  assert.equal(result.ok, false);
+  assert.equal(result.attempts, 3);
+  assert.equal(received.filter(r => r.path === "/down").length, 3);
+});
+
+server.close();
@@ -0,0 +1,197 @@
+import axios from "axios";
+import { loadCache, saveCache, setMergeHook } from "./cacheStore.js";
+
+// === Regional Steam prices ===
+// CheapShark only quotes USD, so other currencies come from Steam's own
+// price_overview, fetched per country code (appdetails ?cc=). Regions are set
+// with GAMING_REGIONS, e.g. "ca,de,gb" or "ca,se:SEK" for a country code this
+// table doesn't know. Prices are kept per app id next to steamMetaCache.json.
+const PRICES_FILE = "steamPriceCache.json";
+const APPDETAILS_URL = "https://store.steampowered.com/api/appdetails";
+const BATCH_SIZE = 100; // price_overview is the one filter Steam allows for several appids at once
+const MAX_ATTEMPTS = 8;
+
+const REGION_CURRENCIES = {
+  us: "USD",
+  ca: "CAD",
+  gb: "GBP",
+  de: "EUR",
+  fr: "EUR",
+  au: "AUD",
+  nz: "NZD",
+  jp: "JPY",
+  br: "BRL",
+  mx: "MXN",
+  pl: "PLN",
+  no: "NOK",
+  ch: "CHF",
+  in: "INR"
+};
+
+function parseRegions(spec) {
+  const regions = [];
+
+  for (const entry of spec.split(",").map(s => s.trim().toLowerCase()).filter(Boolean)) {
+    const [cc, code] = entry.split(":");
+    const currency = (code || REGION_CURRENCIES[cc] || "").toUpperCase();
+
+    if (!/^[a-z]{2}$/.test(cc) || !/^[A-Z]{3}$/.test(currency)) {
+      console.warn(`GAMING_REGIONS: skipping "${entry}" (expected a country code, optionally cc:CUR)`);
+      continue;
+    }
+    // USD deals come from CheapShark; one country per currency
+    if (currency === "USD" || regions.some(r => r.currency === currency)) {
+      console.warn(`GAMING_REGIONS: skipping "${entry}" (${currency} is already served)`);
+      continue;
+    }
+    regions.push({ cc, currency });
+  }
+
+  return regions;
+}
+
+const REGIONS = parseRegions(process.env.GAMING_REGIONS || "ca,de,gb");
+
+// Per app and country keep whichever side fetched last
+setMergeHook(PRICES_FILE, (remote, local) => {
+  const merged = { ...remote };
+
+  for (const [id, prices] of Object.entries(local)) {
+    merged[id] = { ...(merged[id] || {}) };
+    for (const [cc, price] of Object.entries(prices)) {
+      const other = merged[id][cc];
+      if (!other || (price?.fetchedAt || 0) >= (other?.fetchedAt || 0)) merged[id][cc] = price;
+    }
+  }
+
+  return merged;
+});
+
+// price_overview -> what we keep; free or unpriced apps have no price_overview
+function toPrice(info, cc) {
+  const overview = info?.success ? info.data?.price_overview : null;
+  if (!overview) return { cc, available: !!info?.success, fetchedAt: Date.now() };
+
+  return {
+    cc,
+    available: true,
+    currency: overview.currency,
+    initial: overview.initial / 100,
+    final: overview.final / 100,
+    discountPercent: overview.discount_percent,
+    finalFormatted: overview.final_formatted,
+    fetchedAt: Date.now()
+  };
+}
+
+export function createSteamPrices() {
+  // appID -> cc -> price
+  let prices = {};
+  let loaded = false;
+
+  async function load() {
+    try {
+      const saved = await loadCache(PRICES_FILE);
+      if (saved) {
+        prices = saved;
+        console.log(`📥 Loaded Steam regional prices: ${Object.keys(prices).length} games`);
+      }
+      loaded = true;
+    } catch (err) {
+      // Leave `loaded` false so a failed read is never saved over
+      console.error("Failed to load Steam regional prices:", err.message);
+    }
+  }
+
+  async function save() {
+    if (!loaded) return;
+
+    try {
+      await saveCache(PRICES_FILE, prices, `Update Steam regional prices (${Object.keys(prices).length} games)`);
+    } catch (err) {
+      console.error("❌ Failed to save Steam regional prices:", err.message);
+    }
+  }
+
+  async function fetchBatch(appIDs, cc, maxAttempts) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const res = await axios.get(APPDETAILS_URL, {
+          params: { appids: appIDs.join(","), cc, filters: "price_overview" },
+          timeout: 10000
+        });
+        return res.data || {};
+      } catch (err) {
+        const status = err.response?.status;
+        if ((status !== 429 && status !== 403) || attempt === maxAttempts) throw err;
+
+        const delay = Math.min(60000, 2000 * 2 ** (attempt - 1));
+        console.warn(`Steam prices ${status} for ${cc}, retrying in ${delay}ms (attempt ${attempt}/${maxAttempts})`);
+        await new Promise(r => setTimeout(r, delay));
+      }
+    }
+  }
+
+  /**
+   * Fetch price_overview for `appIDs` in every region (or just `regions`).
+   * `prune` drops every other app first (the full deal-list refresh);
+   * `save: false` keeps the result in memory only (one-off lookups).
+   * Returns { failed }: country codes where no batch succeeded.
+   */
+  async function refresh(appIDs, regions = REGIONS, { pauseMs = 1500, maxAttempts = MAX_ATTEMPTS, prune = false, save: persist = true } = {}) {
+    const ids = [...new Set(appIDs.map(String))];
+    const failed = [];
+    let requests = 0;
+
+    if (prune) {
+      const keep = new Set(ids);
+      const dropped = Object.keys(prices).filter(id => !keep.has(id));
+      for (const id of dropped) delete prices[id];
+      if (dropped.length > 0) console.log(`💱 Dropped Steam prices for ${dropped.length} apps no longer in the deal list`);
+    }
+
+    for (const { cc, currency } of regions) {
+      let priced = 0;
+      let succeeded = 0;
+
+      for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        const batch = ids.slice(i, i + BATCH_SIZE);
+        if (requests++ > 0) await new Promise(r => setTimeout(r, pauseMs));
+
+        try {
+          const data = await fetchBatch(batch, cc, maxAttempts);
+          succeeded++;
+          for (const id of batch) {
+            const price = toPrice(data[id], cc);
+            (prices[id] || (prices[id] = {}))[cc] = price;
+            if (price.final !== undefined) priced++;
+          }
+        } catch (err) {
+          console.error(`Steam prices error for ${cc} (${batch.length} apps):`, err.message);
+        }
+      }
+
+      if (succeeded === 0) failed.push(cc);
+      console.log(`💱 Steam prices ${currency} (${cc}): ${priced}/${ids.length} apps priced`);
+    }
+
+    if (persist) await save();
+    return { failed };
+  }
+
+  return {
+    load,
+    refresh,
+    regions: () => REGIONS,
+    // Configured regions plus Steam's own US price, for like-for-like comparisons
+    comparisonRegions: () => [{ cc: "us", currency: "USD" }, ...REGIONS],
+    regionFor: currency => REGIONS.find(r => r.currency === String(currency).toUpperCase()) || null,
+    // { cc: price } for one app, {} when never fetched
+    get: appID => prices[String(appID)] || {},
+    file: PRICES_FILE,
+    apply: data => {
+      prices = data;
+      loaded = true;
+    }
+  };
+}
@@ -0,0 +1,200 @@
+import axios from "axios";
+import { loadCache, saveCache } from "./cacheStore.js";
+
+// === CheapShark store catalog + active store set ===
+// The catalog (/stores) is fetched with backoff and the last good copy kept in
+// cacheStore, so a failing CheapShark call never leaves deals without store
+// names. Which stores we pull deals from, and which one wins a price tie, is
+// an ordered list: GAMING_STORES at boot, PUT /gaming/admin/stores at runtime.
+const CATALOG_FILE = "cheapsharkStores.json";
+const CONFIG_FILE = "gamingStoreConfig.json";
+const STORES_URL = "https://www.cheapshark.com/api/1.0/stores";
+const CATALOG_MAX_AGE = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 6;
+
+// Used only until a catalog has ever been fetched
+const BUILTIN_CATALOG = [
+  { storeID: "1", storeName: "steam", isActive: true },
+  { storeID: "11", storeName: "humble store", isActive: true },
+  { storeID: "15", storeName: "fanatical", isActive: true }
+];
+
+const DEFAULT_STORES = (process.env.GAMING_STORES || "steam,humble store,fanatical")
+  .split(",")
+  .map(s => s.trim().toLowerCase())
+  .filter(Boolean);
+
+export function createStoreCatalog() {
+  let catalog = BUILTIN_CATALOG;
+  let fetchedAt = 0;
+  let source = "builtin";
+  let configured = null; // ordered store ids set at runtime, null = DEFAULT_STORES
+  let refreshing = null;
+
+  function byId(id) {
+    return catalog.find(s => s.storeID === String(id)) || null;
+  }
+
+  // Store names or ids -> { ids } or { error }
+  function resolveStores(list) {
+    const ids = [];
+    const unknown = [];
+
+    for (const entry of list) {
+      const key = String(entry).trim().toLowerCase();
+      const store = catalog.find(s => s.storeID === key || s.storeName === key);
+      if (!store) unknown.push(entry);
+      else if (!ids.includes(store.storeID)) ids.push(store.storeID);
+    }
+
+    if (unknown.length > 0) {
+      return { error: `Unknown stores: ${unknown.join(", ")} (see /gaming/stores)` };
+    }
+    return { ids };
+  }
+
+  function activeIDs() {
+    // Ids the catalog doesn't (or no longer) list are left out rather than shown as "unknown"
+    if (configured) return configured.filter(id => byId(id) && byId(id).isActive !== false);
+
+    // Names that aren't in the catalog are skipped, not fatal, for the env default
+    return DEFAULT_STORES
+      .map(key => catalog.find(s => s.storeID === key || s.storeName === key))
+      .filter(s => s && s.isActive !== false)
+      .map(s => s.storeID);
+  }
+
+  async function fetchCatalog() {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      try {
+        const res = await axios.get(STORES_URL, {
+          timeout: 10000,
+          headers: {
+            "User-Agent": "Mozilla/5.0 (compatible; bruncher-api/1.0)",
+            "Accept": "application/json"
+          }
+        });
+
+        if (!Array.isArray(res.data) || res.data.length === 0) {
+          throw new Error("Empty store list");
+        }
+
+        return res.data.map(s => ({
+          storeID: String(s.storeID),
+          storeName: String(s.storeName).toLowerCase().trim(),
+          isActive: s.isActive !== 0
+        }));
+      } catch (err) {
+        const status = err.response?.status;
+        const retryAfter = Number(err.response?.headers?.["retry-after"]) || null;
+        const delay = retryAfter ? retryAfter * 1000 : Math.min(60000, 2000 * 2 ** (attempt - 1));
+
+        if (attempt === MAX_ATTEMPTS) throw err;
+
+        console.warn(
+          `CheapShark stores error (${status || "no-status"}) attempt ${attempt}/${MAX_ATTEMPTS}, retrying in ${delay}ms`
+        );
+        await new Promise(r => setTimeout(r, delay));
+      }
+    }
+  }
+
+  async function refresh() {
+    if (refreshing) return refreshing;
+    refreshing = fetchAndStore().finally(() => { refreshing = null; });
+    return refreshing;
+  }
+
+  async function fetchAndStore() {
+    try {
+      const stores = await fetchCatalog();
+      catalog = stores;
+      fetchedAt = Date.now();
+      source = "live";
+      console.log(`🏪 Store catalog loaded: ${stores.length} stores, active: ${activeIDs().join(", ")}`);
+
+      await saveCache(CATALOG_FILE, { fetchedAt, stores }, `Update CheapShark store catalog (${stores.length} stores)`);
+    } catch (err) {
+      console.error(`Failed loading store catalog, using ${source} copy:`, err.message);
+    }
+  }
+
+  async function refreshIfStale() {
+    if (Date.now() - fetchedAt > CATALOG_MAX_AGE) await refresh();
+  }
+
+  async function load() {
+    try {
+      const saved = await loadCache(CATALOG_FILE);
+      if (saved?.stores?.length) {
+        catalog = saved.stores;
+        fetchedAt = saved.fetchedAt || 0;
+        source = "saved";
+        console.log(`📥 Loaded saved store catalog: ${catalog.length} stores`);
+      }
+    } catch (err) {
+      console.error("Failed to load saved store catalog:", err.message);
+    }
+
+    try {
+      const config = await loadCache(CONFIG_FILE);
+      if (Array.isArray(config?.stores)) configured = config.stores.map(String);
+    } catch (err) {
+      console.error("Failed to load store config:", err.message);
+    }
+
+    // The saved (or built-in) copy is served right away; a stale one is
+    // refreshed in the background so deals don't wait on CheapShark's backoff
+    if (Date.now() - fetchedAt > CATALOG_MAX_AGE) {
+      console.log(`🏪 Store catalog is ${source === "builtin" ? "built-in" : "stale"}, refreshing in the background`);
+      refresh();
+    }
+  }
+
+  /**
+   * Replace the active store list; order is the tie-break priority
+   */
+  async function setActive(list) {
+    if (!Array.isArray(list) || list.length === 0) {
+      return { error: "Body must contain a non-empty stores array" };
+    }
+
+    const { ids, error } = resolveStores(list);
+    if (error) return { error };
+
+    configured = ids;
+    await saveCache(CONFIG_FILE, { stores: ids, updatedAt: new Date().toISOString() }, "Update gaming store set");
+    return { ids };
+  }
+
+  async function reset() {
+    configured = null;
+    await saveCache(CONFIG_FILE, { stores: null, updatedAt: new Date().toISOString() }, "Reset gaming store set");
+  }
+
+  return {
+    load,
+    refresh,
+    refreshIfStale,
+    setActive,
+    reset,
+    activeIDs,
+    storeName: id => byId(id)?.storeName || "unknown",
+    // Lower wins a price tie; inactive stores rank last
+    priority: id => {
+      const rank = activeIDs().indexOf(String(id));
+      return rank === -1 ? Infinity : rank;
+    },
+    isActive: id => activeIDs().includes(String(id)),
+    describe: () => {
+      const active = activeIDs();
+      return {
+        source,
+        fetchedAt: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+        configured: configured !== null,
+        active: active.map(id => ({ storeID: id, storeName: byId(id)?.storeName || "unknown" })),
+        stores: catalog.map(s => ({ ...s, priority: active.includes(s.storeID) ? active.indexOf(s.storeID) + 1 : null }))
+      };
+    }
+  };
+}
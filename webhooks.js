@@ -0,0 +1,87 @@
+import axios from "axios";
+import crypto from "crypto";
+
+// === Outgoing webhooks ===
+// JSON POSTs signed with WEBHOOK_SECRET:
+//   X-Bruncher-Timestamp: unix seconds
+//   X-Bruncher-Signature: sha256=<hex HMAC of "<timestamp>.<body>">
+// Receivers verify by recomputing the HMAC over the raw body. The delivery id
+// stays the same across retries, so receivers can drop repeats.
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const BASE_DELAY_MS = Number(process.env.WEBHOOK_RETRY_DELAY_MS) || 2000;
+const TIMEOUT_MS = 10000;
+
+let warnedUnsigned = false;
+
+export function signPayload(body, timestamp, secret = WEBHOOK_SECRET) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+export function isWebhookUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * POST `payload` to `url`, retrying network errors, 429s and 5xx with
+ * exponential backoff. Resolves { ok, status, attempts, deliveryId, error }
+ * and never throws.
+ */
+export async function deliverWebhook(url, event, payload) {
+  const deliveryId = crypto.randomUUID();
+  const body = JSON.stringify(payload);
+
+  if (!WEBHOOK_SECRET && !warnedUnsigned) {
+    console.warn("⚠️ WEBHOOK_SECRET not set — webhooks are sent unsigned");
+    warnedUnsigned = true;
+  }
+
+  let lastError = null;
+  let status = null;
+  let attempts = 0;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    attempts = attempt;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Bruncher-Event": event,
+      "X-Bruncher-Delivery": deliveryId,
+      "X-Bruncher-Timestamp": String(timestamp)
+    };
+    if (WEBHOOK_SECRET) headers["X-Bruncher-Signature"] = signPayload(body, timestamp);
+
+    try {
+      const res = await axios.post(url, body, {
+        headers,
+        timeout: TIMEOUT_MS,
+        validateStatus: () => true
+      });
+      status = res.status;
+
+      if (status < 300) {
+        return { ok: true, status, attempts: attempt, deliveryId, error: null };
+      }
+
+      lastError = `HTTP ${status}`;
+      // Other 4xx won't get better by retrying
+      if (status < 500 && status !== 429) break;
+    } catch (err) {
+      lastError = err.message;
+    }
+
+    if (attempt < MAX_ATTEMPTS) {
+      const delay = BASE_DELAY_MS * 2 ** (attempt - 1);
+      console.warn(`⚠️ Webhook ${event} to ${url} failed (${lastError}) → retry ${attempt}/${MAX_ATTEMPTS - 1} in ${delay}ms`);
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+
+  console.error(`❌ Webhook ${event} to ${url} gave up: ${lastError}`);
+  return { ok: false, status, attempts, deliveryId, error: lastError };
+}